@@ -5,9 +5,22 @@ import { Pool } from 'pg';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import { parseExcel, parseCSV } from './utils/fileParser.js';
-import { reconcileData } from './utils/reconciliation.js';
-import { initializeDatabase } from './utils/database.js';
+import { parseExcel, parseCSV, parseGstr2bJson, parseTallyXML } from './utils/fileParser.js';
+import { DEFAULT_STRATEGIES, STRATEGIES, resolveStrategies, runReconciliation } from './utils/reconciliation.js';
+import { COLUMN_ROLES, KEY_ROLES, inferColumnRole, matchingIndexes, resolveColumnRoles } from './utils/columnRoles.js';
+import { loadInvoiceNumberRules, validateStripPattern } from './utils/invoiceNumber.js';
+import { loadToleranceProfile, validateToleranceProfile } from './utils/tolerance.js';
+import { applyConfidenceQuery, parseConfidenceQuery } from './utils/confidence.js';
+import { gstinKey, loadSupplierAliases, saveSupplierAliases } from './utils/supplierResolution.js';
+import { normalizeName } from './utils/similarity.js';
+import { ageOf, loadOpenItems, parsePeriod, updateOpenItems } from './utils/carryForward.js';
+import { gstinColumnReport } from './utils/gstin.js';
+import { computeItcSummary } from './utils/itcSummary.js';
+import { buildItcBridge } from './utils/itcBridge.js';
+import { REASON_CODES, applyReasonCodeQuery, parseReasonCodeQuery } from './utils/reasonCodes.js';
+import { documentRef, loadOverrides, refMatches, revokeOverrides, saveOverride } from './utils/overrides.js';
+import { initializeDatabase, bulkInsert, storeUploadRows, loadUploadRows } from './utils/database.js';
+import { resolveDialect } from './utils/csvDialect.js';
 
 // Normalize values for database storage
 function normalizeValueForDB(value) {
@@ -66,6 +79,7 @@ app.post('/api/upload', upload.fields([
   { name: 'gstFile', maxCount: 1 },
   { name: 'tallyFile', maxCount: 1 }
 ]), async (req, res) => {
+  let client;
   try {
     if (!req.files.gstFile || !req.files.tallyFile) {
       return res.status(400).json({ error: 'Both GST and Tally files are required' });
@@ -73,39 +87,83 @@ app.post('/api/upload', upload.fields([
 
     const gstFile = req.files.gstFile[0];
     const tallyFile = req.files.tallyFile[0];
+    const startedAt = Date.now();
 
-    // Parse files
-    let gstData = await parseFile(gstFile);
-    let tallyData = await parseFile(tallyFile);
+    let gstSheets;
+    let tallySheets;
+    let gstDialect;
+    let tallyDialect;
+    try {
+      gstSheets = parseSheetList(req.body.gstSheets);
+      tallySheets = parseSheetList(req.body.tallySheets);
+      gstDialect = parseDialect(req.body.gstDialect);
+      tallyDialect = parseDialect(req.body.tallyDialect);
+    } catch (optionError) {
+      return res.status(400).json({ error: optionError.message });
+    }
 
-    // Get all unique column names from all rows to ensure no columns are missed
-    const getAllColumns = (data) => {
-      const columns = new Set();
-      data.forEach(row => {
-        Object.keys(row).forEach(col => columns.add(col));
-      });
-      return Array.from(columns);
-    };
+    // Rows are streamed from the parsers into upload_rows in batches inside one transaction,
+    // so a failed upload leaves nothing behind
+    client = await pool.connect();
+    await client.query('BEGIN');
+    const uploadId = await createUpload(client);
+
+    // Parse files (workbooks: optional sheet selection per side, '*' merges every sheet).
+    // Header rows and CSV dialects are detected; gstHeaderRow/tallyHeaderRow and
+    // gstDialect/tallyDialect (JSON) override the detection when re-uploading.
+    // tallyVoucherTypes names custom purchase voucher types in a Tally XML export.
+    const gst = await ingestFile(client, uploadId, 'gst', gstFile, {
+      sheets: gstSheets,
+      headerRow: parseHeaderRow(req.body.gstHeaderRow),
+      dialect: gstDialect
+    });
+    const tally = await ingestFile(client, uploadId, 'tally', tallyFile, {
+      sheets: tallySheets,
+      headerRow: parseHeaderRow(req.body.tallyHeaderRow),
+      dialect: tallyDialect,
+      voucherTypes: parseVoucherTypes(req.body.tallyVoucherTypes)
+    });
 
-    const gstAllColumns = getAllColumns(gstData);
-    const tallyAllColumns = getAllColumns(tallyData);
+    await client.query(
+      `UPDATE uploads SET gst_header_row = $2, tally_header_row = $3, gst_columns = $4, tally_columns = $5,
+        gst_row_count = $6, tally_row_count = $7 WHERE id = $1`,
+      [uploadId, gst.headerRow, tally.headerRow, gst.columns, tally.columns, gst.rowCount, tally.rowCount]
+    );
+    await client.query('COMMIT');
 
-    // Store in database
-    const uploadId = await storeUpload(pool, gstData, tallyData);
+    const timings = { gst: gst.timings, tally: tally.timings, totalMs: Date.now() - startedAt };
+    console.log(`Upload ${uploadId} stored: ${gst.rowCount} GST rows, ${tally.rowCount} Tally rows`, timings);
 
     res.json({
       success: true,
       uploadId,
-      gstAllData: gstData,
-      tallyAllData: tallyData,
-      gstPreview: gstData.slice(1, 6),
-      tallyPreview: tallyData.slice(1, 6),
-      gstHeaders: gstAllColumns,
-      tallyHeaders: tallyAllColumns
+      gstRowCount: gst.rowCount,
+      tallyRowCount: tally.rowCount,
+      gstPreview: gst.preview,
+      tallyPreview: tally.preview,
+      gstHeaders: gst.columns,
+      tallyHeaders: tally.columns,
+      gstHeaderRow: gst.headerRow,
+      tallyHeaderRow: tally.headerRow,
+      gstSheets: gst.sheets,
+      tallySheets: tally.sheets,
+      gstSelectedSheets: gst.selectedSheets,
+      tallySelectedSheets: tally.selectedSheets,
+      gstDialect: gst.dialect,
+      tallyDialect: tally.dialect,
+      timings
     });
   } catch (error) {
+    if (client) {
+      await client.query('ROLLBACK').catch(() => {});
+    }
     console.error('Upload error:', error);
-    res.status(500).json({ error: error.message });
+    // Parsers mark errors in what the client asked for (an unknown sheet) with status 400
+    res.status(error.status || 500).json({ error: error.message });
+  } finally {
+    if (client) {
+      client.release();
+    }
   }
 });
 
@@ -113,8 +171,10 @@ app.post('/api/upload', upload.fields([
 app.get('/api/upload/:uploadId', async (req, res) => {
   try {
     const { uploadId } = req.params;
+    // Rows are not returned here; page through them with /api/upload/:uploadId/rows
     const result = await pool.query(
-      'SELECT * FROM uploads WHERE id = $1',
+      `SELECT id, gst_header_row, tally_header_row, gst_columns, tally_columns, gst_row_count, tally_row_count, created_at
+       FROM uploads WHERE id = $1`,
       [uploadId]
     );
     
@@ -128,18 +188,75 @@ app.get('/api/upload/:uploadId', async (req, res) => {
   }
 });
 
+// Page through the stored rows of one side of an upload
+app.get('/api/upload/:uploadId/rows', async (req, res) => {
+  try {
+    const { uploadId } = req.params;
+    const { side = 'gst' } = req.query;
+    const offset = Math.max(0, parseInt(req.query.offset, 10) || 0);
+    const limit = Math.min(1000, Math.max(1, parseInt(req.query.limit, 10) || 100));
+
+    if (side !== 'gst' && side !== 'tally') {
+      return res.status(400).json({ error: 'side must be gst or tally' });
+    }
+
+    const rows = await loadUploadRows(pool, uploadId, side, { offset, limit });
+    res.json({ uploadId, side, offset, limit, rows });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Validate every GSTIN column of an upload (headers that read as a GSTIN), before any mapping exists
+app.get('/api/upload/:uploadId/gstin-validation', async (req, res) => {
+  try {
+    const { uploadId } = req.params;
+    const result = await pool.query('SELECT gst_columns, tally_columns FROM uploads WHERE id = $1', [uploadId]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Upload not found' });
+    }
+
+    const reports = [];
+    for (const side of ['gst', 'tally']) {
+      const columns = (result.rows[0][`${side}_columns`] || []).filter(col => inferColumnRole(col, null) === 'supplierGstin');
+      if (columns.length === 0) continue;
+      const rows = await loadUploadRows(pool, uploadId, side);
+      columns.forEach(col => reports.push(gstinColumnReport(rows, col, side)));
+    }
+    res.json({ uploadId, gstinValidation: reports });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Run reconciliation
 app.post('/api/reconcile', async (req, res) => {
   try {
-    const { uploadId, gstColumns, tallyColumns, gstHeaderRow = 1, tallyHeaderRow = 1 } = req.body;
+    const { uploadId, gstColumns, tallyColumns, columnRoles } = req.body;
 
     if (!uploadId || !gstColumns || !tallyColumns) {
       return res.status(400).json({ error: 'Missing required fields' });
     }
 
+    let roles;
+    try {
+      roles = resolveColumnRoles(gstColumns, tallyColumns, columnRoles);
+    } catch (roleError) {
+      return res.status(400).json({ error: roleError.message });
+    }
+    const rolesError = unmatchableRolesError(roles);
+    if (rolesError) {
+      return res.status(400).json({ error: rolesError });
+    }
+
+    const engine = await engineOptionsFromRequest(pool, req.body);
+    if (engine.error) {
+      return res.status(engine.status).json({ error: engine.error });
+    }
+
     // Get data from database
     const uploadResult = await pool.query(
-      'SELECT gst_data, tally_data FROM uploads WHERE id = $1',
+      'SELECT gst_header_row, tally_header_row FROM uploads WHERE id = $1',
       [uploadId]
     );
 
@@ -147,67 +264,89 @@ app.post('/api/reconcile', async (req, res) => {
       return res.status(404).json({ error: 'Upload not found' });
     }
 
-    let { gst_data, tally_data } = uploadResult.rows[0];
+    const gstHeader = uploadHeaderRow(uploadResult.rows[0].gst_header_row, req.body.gstHeaderRow);
+    const tallyHeader = uploadHeaderRow(uploadResult.rows[0].tally_header_row, req.body.tallyHeaderRow);
+    const gstHeaderRow = gstHeader.headerRow;
+    const tallyHeaderRow = tallyHeader.headerRow;
 
-    // Skip rows before header row
-    gst_data = gst_data.slice(gstHeaderRow - 1);
-    tally_data = tally_data.slice(tallyHeaderRow - 1);
+    let stageStart = Date.now();
+    const gstData = (await loadUploadRows(pool, uploadId, 'gst')).slice(gstHeader.skipRows);
+    const tallyData = (await loadUploadRows(pool, uploadId, 'tally')).slice(tallyHeader.skipRows);
+    const timings = { loadMs: Date.now() - stageStart };
 
-    // Run initial reconciliation (for storing in results table)
-    const results = reconcileData(gst_data, tally_data, gstColumns, tallyColumns);
+    stageStart = Date.now();
+    const results = runReconciliation(gstData, tallyData, gstColumns, tallyColumns, { ...engine.options, roles });
+    timings.reconcileMs = Date.now() - stageStart;
+    await saveSupplierAliases(pool, results.supplierResolutions);
+    const openItems = await recordOpenItems(engine.ledger, results, { gst: gstColumns, tally: tallyColumns }, roles);
 
-    // Store results with header row info
+    // Store results with header row info, and the mapping that produced them
+    stageStart = Date.now();
     const resultId = await storeResults(pool, uploadId, results, gstHeaderRow, tallyHeaderRow);
+    await pool.query(
+      'INSERT INTO column_mappings (reconciliation_id, gst_columns, tally_columns, column_roles, created_at) VALUES ($1, $2, $3, $4, NOW())',
+      [resultId, gstColumns, tallyColumns, roles]
+    );
+    timings.storeMs = Date.now() - stageStart;
 
-    try {
-      // Store mapped data in actual tables
-      await storeMappedData(pool, resultId, gst_data, tally_data, gstColumns, tallyColumns);
-
-      // Perform SQL-based reconciliation on the mapped tables
-      const sqlResults = await performSQLReconciliation(pool, resultId);
-
-      res.json({
-        success: true,
-        resultId,
-        summary: {
-          totalGstRecords: gst_data.length,
-          totalTallyRecords: tally_data.length,
-          exactMatches: sqlResults.exactMatches.length,
-          partialMatches: sqlResults.partialMatches.length,
-          tallyMismatches: sqlResults.tallyMismatches.length,
-          gstMismatches: sqlResults.gstMismatches.length,
-          gstHeaderRow,
-          tallyHeaderRow
-        }
-      });
-    } catch (mappingError) {
-      console.error('Error in mapped data storage or SQL reconciliation:', mappingError);
-      // Still return success with the initial reconciliation results
-      res.json({
-        success: true,
-        resultId,
-        summary: {
-          totalGstRecords: gst_data.length,
-          totalTallyRecords: tally_data.length,
-          exactMatches: results.exactMatches.length,
-          partialMatches: results.partialMatches.length,
-          tallyMismatches: results.tallyMismatches.length,
-          gstMismatches: results.gstMismatches.length,
-          gstHeaderRow,
-          tallyHeaderRow
-        }
-      });
-    }
+    res.json({
+      success: true,
+      resultId,
+      summary: {
+        totalGstRecords: results.summary.totalGstRecords,
+        totalTallyRecords: results.summary.totalTallyRecords,
+        reconciledGstRecords: results.summary.reconciledGstRecords,
+        reconciledTallyRecords: results.summary.reconciledTallyRecords,
+        exactMatches: results.summary.exactMatches,
+        partialMatches: results.summary.partialMatches,
+        groupMatches: results.summary.groupMatches,
+        manualMatches: results.summary.manualMatches,
+        resolvedSuppliers: results.summary.resolvedSuppliers,
+        creditNotes: results.summary.creditNotes,
+        debitNotes: results.summary.debitNotes,
+        carriedForward: results.summary.carriedForward,
+        timingDifferences: results.summary.timingDifferences,
+        duplicates: results.summary.duplicates,
+        suspectedDuplicates: results.summary.suspectedDuplicates,
+        taxHeadIssues: results.summary.taxHeadIssues,
+        arithmeticIssues: results.summary.arithmeticIssues,
+        reasonCodes: results.summary.reasonCodes,
+        tallyMismatches: results.summary.tallyOnly,
+        gstMismatches: results.summary.gstOnly,
+        gstHeaderRow,
+        tallyHeaderRow
+      },
+      strategies: results.strategies,
+      toleranceProfile: results.toleranceProfile,
+      supplierResolutions: results.supplierResolutions,
+      notes: results.notes.summary,
+      ledger: engine.ledger,
+      openItems,
+      overrides: results.overrides,
+      columnRoles: roles,
+      timings
+    });
   } catch (error) {
     console.error('Reconciliation error:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// Get reconciliation results
+// Get reconciliation results; ?minConfidence, ?maxConfidence and ?sort filter and order the match
+// lists, ?reasonCode keeps the items carrying any of the given reason codes
 app.get('/api/results/:resultId', async (req, res) => {
   try {
     const { resultId } = req.params;
+
+    let confidenceQuery;
+    let reasonCodeQuery;
+    try {
+      confidenceQuery = parseConfidenceQuery(req.query);
+      reasonCodeQuery = parseReasonCodeQuery(req.query);
+    } catch (queryError) {
+      return res.status(400).json({ error: queryError.message });
+    }
+
     const result = await pool.query(
       'SELECT * FROM reconciliation_results WHERE id = $1',
       [resultId]
@@ -217,7 +356,16 @@ app.get('/api/results/:resultId', async (req, res) => {
       return res.status(404).json({ error: 'Results not found' });
     }
 
-    res.json(result.rows[0]);
+    const row = result.rows[0];
+    res.json({
+      ...row,
+      exact_matches: applyReasonCodeQuery(applyConfidenceQuery(row.exact_matches, confidenceQuery), reasonCodeQuery),
+      partial_matches: applyReasonCodeQuery(applyConfidenceQuery(row.partial_matches, confidenceQuery), reasonCodeQuery),
+      group_matches: applyReasonCodeQuery(applyConfidenceQuery(row.group_matches, confidenceQuery), reasonCodeQuery),
+      duplicates: applyReasonCodeQuery(row.duplicates, reasonCodeQuery),
+      tally_mismatches: applyReasonCodeQuery(row.tally_mismatches, reasonCodeQuery),
+      gst_mismatches: applyReasonCodeQuery(row.gst_mismatches, reasonCodeQuery)
+    });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -244,211 +392,291 @@ app.get('/api/results/:resultId/export', async (req, res) => {
 });
 
 // Helper functions
-async function parseFile(file) {
+// Only CSV is stream-parsed; its rows are an async iterator read while they are stored. Excel
+// workbooks, GSTR-2B JSON and Tally XML are read whole by their parsers (xlsx, JSON.parse,
+// fast-xml-parser), so those rows are in memory before storing starts.
+async function parseFile(file, options = {}) {
   const ext = path.extname(file.originalname).toLowerCase();
-  
+
   if (ext === '.xlsx' || ext === '.xls') {
-    return parseExcel(file.path);
-  } else if (ext === '.csv') {
-    return parseCSV(file.path);
+    return { ...parseExcel(file.path, options), dialect: null };
+  }
+
+  if (ext === '.csv') {
+    const { rows, headerRow, dialect } = await parseCSV(file.path, options);
+    return { rows, sheets: [], selectedSheets: [], headerRow, dialect };
+  }
+
+  // Structured exports have no sheets or header rows to choose from
+  let rows;
+  if (ext === '.json') {
+    rows = parseGstr2bJson(file.path);
+  } else if (ext === '.xml') {
+    rows = parseTallyXML(file.path, { voucherTypes: options.voucherTypes });
   } else {
     throw new Error('Unsupported file format');
   }
+  return { rows, sheets: [], selectedSheets: [], headerRow: null, dialect: null };
 }
 
-async function storeUpload(pool, gstData, tallyData) {
-  const result = await pool.query(
-    'INSERT INTO uploads (gst_data, tally_data, created_at) VALUES ($1, $2, NOW()) RETURNING id',
-    [JSON.stringify(gstData), JSON.stringify(tallyData)]
-  );
+async function createUpload(db) {
+  const result = await db.query('INSERT INTO uploads (created_at) VALUES (NOW()) RETURNING id');
   return result.rows[0].id;
 }
 
-async function storeResults(pool, uploadId, results, gstHeaderRow = 1, tallyHeaderRow = 1) {
-  const result = await pool.query(
-    'INSERT INTO reconciliation_results (upload_id, exact_matches, partial_matches, tally_mismatches, gst_mismatches, gst_header_row, tally_header_row, created_at) VALUES ($1, $2, $3, $4, $5, $6, $7, NOW()) RETURNING id',
-    [uploadId, JSON.stringify(results.exactMatches), JSON.stringify(results.partialMatches), JSON.stringify(results.tallyMismatches), JSON.stringify(results.gstMismatches), gstHeaderRow, tallyHeaderRow]
-  );
-  return result.rows[0].id;
+// Parse one file and store its rows in upload_rows, timing each stage. Only CSV is streamed:
+// its parsing overlaps with storing, so parseMs is the time not spent inserting. Other formats
+// are parsed whole before the first insert, and timings.streamed says which case applies.
+async function ingestFile(db, uploadId, side, file, options) {
+  const startedAt = Date.now();
+  const parsed = await parseFile(file, options);
+  const stored = await storeUploadRows(db, uploadId, side, parsed.rows);
+  const totalMs = Date.now() - startedAt;
+
+  return {
+    ...stored,
+    headerRow: parsed.headerRow,
+    sheets: parsed.sheets,
+    selectedSheets: parsed.selectedSheets,
+    dialect: parsed.dialect,
+    timings: {
+      parseMs: totalMs - stored.storeMs,
+      storeMs: stored.storeMs,
+      totalMs,
+      rows: stored.rowCount,
+      streamed: path.extname(file.originalname).toLowerCase() === '.csv'
+    }
+  };
 }
 
-async function performSQLReconciliation(pool, reconciliationId) {
-  try {
-    const gstTableName = `gst_mapped_${reconciliationId}`;
-    const tallyTableName = `tally_mapped_${reconciliationId}`;
+// Header row overrides are 1-based row numbers; anything else means "detect"
+function parseHeaderRow(value) {
+  const row = Number(value);
+  return Number.isInteger(row) && row > 0 ? row : undefined;
+}
 
-    // Get column mapping to know how many features we have
-    const mappingResult = await pool.query(
-      'SELECT gst_columns, tally_columns FROM column_mappings WHERE reconciliation_id = $1',
-      [reconciliationId]
-    );
+// Header rows are resolved at upload time (detected or overridden there), so stored rows
+// start at the first data row. Uploads from before detection stored no header row and kept
+// every sheet row; for those the request's header row still says where the data starts.
+function uploadHeaderRow(stored, requested) {
+  if (stored !== null && stored !== undefined) {
+    return { headerRow: stored, skipRows: 0 };
+  }
+  const headerRow = parseHeaderRow(requested) ?? 1;
+  return { headerRow, skipRows: headerRow - 1 };
+}
 
-    if (mappingResult.rows.length === 0) {
-      throw new Error('Column mapping not found');
+// CSV dialect corrections arrive as a JSON object: { encoding, delimiter, quote, skipRows }.
+// Each value is checked here, as resolveDialect would check it, so a bad one is a 400.
+function parseDialect(value) {
+  if (value === undefined || value === null || value === '') return undefined;
+  let dialect = value;
+  if (typeof value !== 'object') {
+    try {
+      dialect = JSON.parse(value);
+    } catch {
+      throw new Error('Invalid dialect - expected a JSON object');
     }
+  }
+  if (!dialect || typeof dialect !== 'object' || Array.isArray(dialect)) {
+    throw new Error('Invalid dialect - expected a JSON object');
+  }
+  const unknown = Object.keys(dialect).filter(key => !['encoding', 'delimiter', 'quote', 'skipRows'].includes(key));
+  if (unknown.length > 0) {
+    throw new Error(`Invalid dialect - unknown setting: ${unknown.join(', ')}. Expected encoding, delimiter, quote or skipRows`);
+  }
+  resolveDialect({}, dialect);
+  return dialect;
+}
 
-    const { gst_columns, tally_columns } = mappingResult.rows[0];
-    const gstCols = Array.isArray(gst_columns) ? gst_columns : JSON.parse(gst_columns);
-    const tallyCols = Array.isArray(tally_columns) ? tally_columns : JSON.parse(tally_columns);
-    
-    const validCount = gstCols.filter((col, idx) => col && tallyCols[idx]).length;
-
-    // Build feature column list (excluding id and created_at)
-    const featureList = Array.from({ length: validCount }, (_, i) => `feature${i + 1}`).join(', ');
-
-    // Build feature comparison string for all features
-    const featureComparisons = Array.from({ length: validCount }, (_, i) => 
-      `g.feature${i + 1} = t.feature${i + 1}`
-    ).join(' AND ');
-
-    // Build discrepancy detection for partial matches
-    const discrepancyChecks = Array.from({ length: validCount }, (_, i) => 
-      `CASE WHEN g.feature${i + 1} <> t.feature${i + 1} THEN 'Mismatch in feature${i + 1} ' ELSE '' END`
-    ).join(' || ');
-
-    // Match Type 1: Exact Matches (only feature columns, no id or created_at)
-    const exactMatchesResult = await pool.query(`
-      SELECT ${featureList}
-      FROM ${gstTableName} g
-      INNER JOIN ${tallyTableName} t
-        ON ${featureComparisons}
-    `);
+// Custom Tally voucher types to read as purchases, besides Purchase, Debit Note and Credit
+// Note: a comma-separated list or an array
+function parseVoucherTypes(value) {
+  if (value === undefined || value === null || value === '') return [];
+  return (Array.isArray(value) ? value : String(value).split(',')).map(type => String(type).trim()).filter(Boolean);
+}
 
-    // Match Type 2: Partial Matches (using first 2 features as primary identifiers)
-    const partialMatchesResult = await pool.query(`
-      SELECT ${featureList},
-        ${discrepancyChecks} AS discrepancies
-      FROM ${gstTableName} g
-      INNER JOIN ${tallyTableName} t
-        ON g.feature1 = t.feature1
-        AND g.feature2 = t.feature2
-      WHERE NOT (${featureComparisons})
-    `);
+// Sheet selection arrives as a multipart field: '*', a JSON array or a comma-separated list
+function parseSheetList(value) {
+  if (value === undefined || value === null || value === '') return undefined;
+  if (Array.isArray(value)) return value;
+  const str = String(value).trim();
+  if (str === '*') return '*';
+  if (str.startsWith('[')) {
+    let list;
+    try {
+      list = JSON.parse(str);
+    } catch {
+      throw new Error('Invalid sheet list - expected \'*\', a JSON array of sheet names or a comma-separated list');
+    }
+    if (!Array.isArray(list) || list.some(name => typeof name !== 'string')) {
+      throw new Error('Invalid sheet list - the JSON array must hold sheet names');
+    }
+    return list;
+  }
+  return str.split(',').map(name => name.trim()).filter(Boolean);
+}
 
-    // Mismatch Type 1: In Tally but Missing in GST
-    const tallyMismatchesResult = await pool.query(`
-      SELECT ${featureList}
-      FROM ${tallyTableName} t
-      LEFT JOIN ${gstTableName} g
-        ON t.feature1 = g.feature1
-        AND t.feature2 = g.feature2
-      WHERE g.feature1 IS NULL
-    `);
+// Roles saved with a mapping log, lined up with the given column pairs (null where a pair is not in the log)
+async function savedColumnRoles(db, logId, gstColumns, tallyColumns) {
+  const parsedLogId = Number(logId);
+  if (!Number.isInteger(parsedLogId) || parsedLogId <= 0) return undefined;
 
-    // Mismatch Type 2: In GST but Missing in Tally
-    const gstMismatchesResult = await pool.query(`
-      SELECT ${featureList}
-      FROM ${gstTableName} g
-      LEFT JOIN ${tallyTableName} t
-        ON g.feature1 = t.feature1
-        AND g.feature2 = t.feature2
-      WHERE t.feature1 IS NULL
-    `);
+  const result = await db.query('SELECT gst_columns, tally_columns, column_roles FROM mapping_logs WHERE id = $1', [parsedLogId]);
+  const log = result.rows[0];
+  if (!log || !log.column_roles) return undefined;
 
-    console.log('SQL Reconciliation Results:', {
-      exactMatches: exactMatchesResult.rows.length,
-      partialMatches: partialMatchesResult.rows.length,
-      tallyMismatches: tallyMismatchesResult.rows.length,
-      gstMismatches: gstMismatchesResult.rows.length
-    });
+  const byPair = new Map();
+  log.gst_columns.forEach((gstCol, idx) => {
+    byPair.set(`${gstCol}\u0000${log.tally_columns[idx]}`, log.column_roles[idx]);
+  });
+  return gstColumns.map((gstCol, idx) => byPair.get(`${gstCol}\u0000${tallyColumns[idx]}`) ?? null);
+}
 
-    return {
-      exactMatches: exactMatchesResult.rows,
-      partialMatches: partialMatchesResult.rows,
-      tallyMismatches: tallyMismatchesResult.rows,
-      gstMismatches: gstMismatchesResult.rows
-    };
-  } catch (error) {
-    console.error('SQL reconciliation error:', error);
-    throw error;
+// Column name save-mapping gave a mapped column in the log tables
+function mappedColumnName(name) {
+  let sanitized = String(name).toLowerCase().replace(/[^a-z0-9_]/g, '_').replace(/_+/g, '_').replace(/^_|_$/g, '');
+  if (/^\d/.test(sanitized)) {
+    sanitized = 'col_' + sanitized;
   }
+  return sanitized;
 }
 
-async function storeMappedData(pool, reconciliationId, gstData, tallyData, gstColumns, tallyColumns) {
+// The log tables' column names for each side and the role of each pair, or { status, error }.
+// save-mapping only created columns for the pairs with both sides set.
+function logColumns(log) {
+  const pairs = log.gst_columns
+    .map((gstCol, idx) => ({ gstCol, tallyCol: log.tally_columns[idx], role: log.column_roles?.[idx] }))
+    .filter(pair => pair.gstCol && pair.tallyCol);
   try {
-    console.log('storeMappedData called with:', { reconciliationId, gstColumnsLength: gstColumns?.length, tallyColumnsLength: tallyColumns?.length });
-    
-    // Ensure columns are arrays
-    const gstCols = Array.isArray(gstColumns) ? gstColumns : [];
-    const tallyCols = Array.isArray(tallyColumns) ? tallyColumns : [];
-
-    // Filter out empty mappings and create feature columns
-    const validMappings = gstCols
-      .map((gstCol, idx) => ({
-        gstCol,
-        tallyCol: tallyCols[idx],
-        featureNum: idx + 1
-      }))
-      .filter(m => m.gstCol && m.tallyCol);
-
-    console.log('Valid mappings:', validMappings.length);
+    return {
+      columns: {
+        gst: pairs.map(pair => mappedColumnName(pair.gstCol)),
+        tally: pairs.map(pair => mappedColumnName(pair.tallyCol))
+      },
+      roles: resolveColumnRoles(pairs.map(pair => pair.gstCol), pairs.map(pair => pair.tallyCol), pairs.map(pair => pair.role))
+    };
+  } catch (roleError) {
+    return { status: 400, error: roleError.message };
+  }
+}
 
-    if (validMappings.length === 0) {
-      throw new Error('No valid column mappings found');
-    }
+// The engine needs at least one compared pair; a mapping without one is a bad request
+function unmatchableRolesError(roles) {
+  return matchingIndexes(roles).length === 0 ? 'Every mapped column is informational - nothing to match on' : null;
+}
 
-    // Create GST mapped data table with feature columns
-    const gstTableName = `gst_mapped_${reconciliationId}`;
-    const gstColumns_sql = validMappings
-      .map(m => `feature${m.featureNum} TEXT`)
-      .join(', ');
+// Run the engine over a saved mapping log's tables with the engine options in body (as for
+// /api/reconcile-mapped-data). Reports read the run without recording it: no aliases are
+// learnt and the open-items ledger is left alone. Returns { log, results, columns, roles }
+// or { status, error }.
+async function reconcileLog(db, logId, body = {}) {
+  const parsedLogId = Number(logId);
+  if (!Number.isInteger(parsedLogId) || parsedLogId <= 0) {
+    return { status: 400, error: 'Invalid logId' };
+  }
+  const logResult = await db.query('SELECT * FROM mapping_logs WHERE id = $1', [parsedLogId]);
+  const log = logResult.rows[0];
+  if (!log) {
+    return { status: 404, error: 'Log not found' };
+  }
 
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS ${gstTableName} (
-        id SERIAL PRIMARY KEY,
-        ${gstColumns_sql},
-        created_at TIMESTAMP DEFAULT NOW()
-      )
-    `);
+  const engine = await engineOptionsFromRequest(db, { ...body, logId: parsedLogId });
+  if (engine.error) return engine;
 
-    // Create Tally mapped data table with feature columns
-    const tallyTableName = `tally_mapped_${reconciliationId}`;
-    const tallyColumns_sql = validMappings
-      .map(m => `feature${m.featureNum} TEXT`)
-      .join(', ');
+  const mapped = logColumns(log);
+  if (mapped.error) return mapped;
+  const { columns, roles } = mapped;
+  const rolesError = unmatchableRolesError(roles);
+  if (rolesError) {
+    return { status: 400, error: rolesError };
+  }
 
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS ${tallyTableName} (
-        id SERIAL PRIMARY KEY,
-        ${tallyColumns_sql},
-        created_at TIMESTAMP DEFAULT NOW()
-      )
-    `);
+  const gstResult = await db.query(`SELECT * FROM ${log.gst_table_name}`);
+  const tallyResult = await db.query(`SELECT * FROM ${log.tally_table_name}`);
+  const results = runReconciliation(gstResult.rows, tallyResult.rows, columns.gst, columns.tally, { ...engine.options, roles });
+  return { log, results, columns, roles };
+}
 
-    // Insert GST data with normalized values
-    for (const row of gstData) {
-      const values = validMappings.map(m => normalizeValueForDB(row[m.gstCol] || null));
-      const placeholders = validMappings.map((_, i) => `$${i + 1}`).join(', ');
-      const featureNames = validMappings.map(m => `feature${m.featureNum}`).join(', ');
+async function storeResults(pool, uploadId, results, gstHeaderRow = 1, tallyHeaderRow = 1) {
+  const result = await pool.query(
+    'INSERT INTO reconciliation_results (upload_id, exact_matches, partial_matches, group_matches, document_notes, duplicates, row_checks, tally_mismatches, gst_mismatches, gst_header_row, tally_header_row, created_at) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, NOW()) RETURNING id',
+    [uploadId, JSON.stringify(results.exact), JSON.stringify(results.partial), JSON.stringify(results.grouped), JSON.stringify(results.notes), JSON.stringify(results.duplicates), JSON.stringify(results.rowChecks), JSON.stringify(results.tallyOnly), JSON.stringify(results.gstOnly), gstHeaderRow, tallyHeaderRow]
+  );
+  return result.rows[0].id;
+}
 
-      await pool.query(
-        `INSERT INTO ${gstTableName} (${featureNames}, created_at) VALUES (${placeholders}, NOW())`,
-        values
-      );
-    }
+// Strategy order, tolerance profile, invoice number rules, supplier aliases, carried-forward
+// open items and manual overrides for a reconcile request. Returns { options, ledger } for runReconciliation, or
+// { status, error }. ledger is { gstin, period } when the run takes part in carry-forward.
+async function engineOptionsFromRequest(db, body) {
+  let strategies;
+  try {
+    strategies = resolveStrategies(body.strategies);
+  } catch (error) {
+    return { status: 400, error: error.message };
+  }
+  // groupMatches: true is shorthand for running the grouped strategy last
+  if (body.groupMatches && !strategies.includes('grouped')) {
+    strategies = [...strategies, 'grouped'];
+  }
 
-    // Insert Tally data with normalized values
-    for (const row of tallyData) {
-      const values = validMappings.map(m => normalizeValueForDB(row[m.tallyCol] || null));
-      const placeholders = validMappings.map((_, i) => `$${i + 1}`).join(', ');
-      const featureNames = validMappings.map(m => `feature${m.featureNum}`).join(', ');
+  const toleranceProfile = await loadToleranceProfile(db, body.toleranceProfile);
+  if (!toleranceProfile) {
+    return { status: 404, error: `Tolerance profile not found: ${body.toleranceProfile}` };
+  }
 
-      await pool.query(
-        `INSERT INTO ${tallyTableName} (${featureNames}, created_at) VALUES (${placeholders}, NOW())`,
-        values
-      );
+  // gstin is our own (the recipient's) GSTIN; with a period it places the run in the open-items ledger
+  const recipientGstin = gstinKey(body.gstin) || undefined;
+  let ledger = null;
+  if (body.period) {
+    const period = parsePeriod(body.period);
+    if (!recipientGstin || !period) {
+      return { status: 400, error: 'gstin and period (YYYY-MM) are both required for carry-forward' };
     }
+    ledger = { gstin: recipientGstin, period };
+  }
+  const openItems = ledger && body.carryForward !== false ? await loadOpenItems(db, ledger.gstin, ledger.period) : undefined;
+
+  // Reviewers' overrides: the log's own (for a log run) and every remembered rule
+  const logId = Number(body.logId);
+  const overrides = body.applyOverrides === false
+    ? []
+    : await loadOverrides(db, Number.isInteger(logId) && logId > 0 ? logId : null);
+
+  const invoiceRules = await loadInvoiceNumberRules(db);
+  const supplierAliases = await loadSupplierAliases(db);
+  return {
+    options: {
+      strategies,
+      toleranceProfile,
+      invoiceRules,
+      supplierAliases,
+      aggregate: body.aggregate !== false,
+      resolveSuppliers: body.resolveSuppliers !== false,
+      recipientGstin,
+      period: ledger?.period,
+      openItems,
+      overrides
+    },
+    ledger
+  };
+}
 
-    // Store column mapping metadata
-    await pool.query(
-      'INSERT INTO column_mappings (reconciliation_id, gst_columns, tally_columns, created_at) VALUES ($1, $2, $3, NOW())',
-      [reconciliationId, JSON.stringify(gstCols), JSON.stringify(tallyCols)]
-    );
-
-    console.log(`Mapped data stored successfully in tables: ${gstTableName}, ${tallyTableName}`);
+// Close, reopen and add open items for a run, in one transaction
+async function recordOpenItems(ledger, results, columns, roles) {
+  if (!ledger) return null;
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const changes = await updateOpenItems(client, { ...ledger, results, columns, roles });
+    await client.query('COMMIT');
+    return changes;
   } catch (error) {
-    console.error('Error storing mapped data:', error);
+    await client.query('ROLLBACK').catch(() => {});
     throw error;
+  } finally {
+    client.release();
   }
 }
 
@@ -490,6 +718,11 @@ app.delete('/api/mapping-logs/:logId', async (req, res) => {
     await pool.query(`DROP TABLE IF EXISTS tally_only_${parsedLogId}`);
     await pool.query(`DROP TABLE IF EXISTS partial_minor_${parsedLogId}`);
     await pool.query(`DROP TABLE IF EXISTS partial_major_${parsedLogId}`);
+    await pool.query(`DROP TABLE IF EXISTS group_matches_${parsedLogId}`);
+    await pool.query(`DROP TABLE IF EXISTS duplicates_${parsedLogId}`);
+
+    // Overrides naming this log's rows go with it; remembered rules stay
+    await pool.query(`DELETE FROM match_overrides WHERE log_id = $1 AND scope = 'log'`, [parsedLogId]);
 
     // Delete the log
     await pool.query('DELETE FROM mapping_logs WHERE id = $1', [logId]);
@@ -547,6 +780,276 @@ app.get('/api/export-log/:logId', async (req, res) => {
   }
 });
 
+// GSTR-3B Table 4 ITC figures for a mapping log, with the invoices behind each figure.
+// Reads the 2B ITC availability and reverse charge columns when they are mapped.
+app.post('/api/mapping-logs/:logId/itc-summary', async (req, res) => {
+  try {
+    const run = await reconcileLog(pool, req.params.logId, req.body);
+    if (run.error) {
+      return res.status(run.status).json({ error: run.error });
+    }
+
+    const summary = computeItcSummary(run.results, { columns: run.columns, roles: run.roles });
+    res.json({
+      logId: run.log.id,
+      flags: {
+        itcAvailability: run.roles.includes('itcAvailability'),
+        reverseCharge: run.roles.includes('reverseCharge')
+      },
+      strategies: run.results.strategies,
+      toleranceProfile: run.results.toleranceProfile,
+      ...summary
+    });
+  } catch (error) {
+    console.error('Error computing ITC summary:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Saved non-exact rows of a mapping log with their reason codes. ?reasonCode=a,b keeps rows
+// carrying any of them, ?table=partialMinor,gstOnly limits the tables read; counts are per
+// code across the tables read, before the reason-code filter.
+app.get('/api/mapping-logs/:logId/mismatches', async (req, res) => {
+  try {
+    const parsedLogId = Number(req.params.logId);
+    if (!Number.isInteger(parsedLogId) || parsedLogId <= 0) {
+      return res.status(400).json({ error: 'Invalid logId' });
+    }
+
+    let reasonCodes;
+    try {
+      reasonCodes = parseReasonCodeQuery(req.query);
+    } catch (queryError) {
+      return res.status(400).json({ error: queryError.message });
+    }
+
+    const tables = {
+      partialMinor: { table: `partial_minor_${parsedLogId}`, column: 'reason_codes' },
+      partialMajor: { table: `partial_major_${parsedLogId}`, column: 'reason_codes' },
+      grouped: { table: `group_matches_${parsedLogId}`, column: 'reason_codes' },
+      gstOnly: { table: `gst_only_${parsedLogId}`, column: '_reason_codes' },
+      tallyOnly: { table: `tally_only_${parsedLogId}`, column: '_reason_codes' },
+      duplicates: { table: `duplicates_${parsedLogId}`, column: 'reason_codes' }
+    };
+    const requested = req.query.table ? String(req.query.table).split(',').map(name => name.trim()) : Object.keys(tables);
+    const unknown = requested.filter(name => !tables[name]);
+    if (unknown.length > 0) {
+      return res.status(400).json({ error: `Unknown table: ${unknown.join(', ')}. Expected one of ${Object.keys(tables).join(', ')}` });
+    }
+
+    const counts = {};
+    const rows = {};
+    for (const name of requested) {
+      const { table, column } = tables[name];
+      const exists = await pool.query('SELECT to_regclass($1) AS name', [table]);
+      if (!exists.rows[0].name) continue;
+      // Tables saved before reason codes existed have no codes to count or filter on; the
+      // column is added when the table is next saved
+      const hasCodes = await pool.query(
+        'SELECT 1 FROM information_schema.columns WHERE table_schema = current_schema() AND table_name = $1 AND column_name = $2',
+        [table, column]
+      );
+      if (hasCodes.rows.length === 0) {
+        const result = reasonCodes ? { rows: [] } : await pool.query(`SELECT *, NULL::text[] AS ${column} FROM ${table} ORDER BY id`);
+        rows[name] = { table, rows: result.rows };
+        continue;
+      }
+
+      const countResult = await pool.query(`SELECT code, COUNT(*)::int AS count FROM ${table}, unnest(${column}) AS code GROUP BY code`);
+      countResult.rows.forEach(({ code, count }) => {
+        counts[code] = (counts[code] || 0) + count;
+      });
+      const result = await pool.query(
+        `SELECT * FROM ${table} WHERE $1::text[] IS NULL OR ${column} && $1::text[] ORDER BY id`,
+        [reasonCodes]
+      );
+      rows[name] = { table, rows: result.rows };
+    }
+
+    res.json({ logId: parsedLogId, reasonCodes, counts, tables: rows });
+  } catch (error) {
+    console.error('Error fetching mismatches:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Manual overrides for a mapping log (see overrides.js). Body: { gstRowIds, tallyRowIds, user,
+// note, remember }. Row ids are the ids in the log's tables. link pairs the rows on the next
+// run, unlink stops the engine pairing them, repair links them after revoking the links that
+// held any of them and any unlink of this pairing. remember: true stores a rule by supplier
+// GSTIN and invoice number that applies to every later run, other periods included.
+app.post('/api/mapping-logs/:logId/overrides/:action', async (req, res) => {
+  try {
+    const { action } = req.params;
+    if (!['link', 'unlink', 'repair'].includes(action)) {
+      return res.status(400).json({ error: `Unknown override action: ${action}. Expected link, unlink or repair` });
+    }
+    const parsedLogId = Number(req.params.logId);
+    if (!Number.isInteger(parsedLogId) || parsedLogId <= 0) {
+      return res.status(400).json({ error: 'Invalid logId' });
+    }
+    const user = String(req.body.user || req.get('X-User') || '').trim();
+    if (!user) {
+      return res.status(400).json({ error: 'user is required to record an override' });
+    }
+    const rowIds = value => (Array.isArray(value) ? value : [value]).filter(id => id !== undefined && id !== null && id !== '').map(Number);
+    const gstRowIds = rowIds(req.body.gstRowIds ?? req.body.gstRowId);
+    const tallyRowIds = rowIds(req.body.tallyRowIds ?? req.body.tallyRowId);
+    if (gstRowIds.length === 0 || tallyRowIds.length === 0 || [...gstRowIds, ...tallyRowIds].some(id => !Number.isInteger(id) || id <= 0)) {
+      return res.status(400).json({ error: 'gstRowIds and tallyRowIds must each name at least one row id' });
+    }
+
+    const logResult = await pool.query('SELECT * FROM mapping_logs WHERE id = $1', [parsedLogId]);
+    const log = logResult.rows[0];
+    if (!log) {
+      return res.status(404).json({ error: 'Log not found' });
+    }
+    const mapped = logColumns(log);
+    if (mapped.error) {
+      return res.status(mapped.status).json({ error: mapped.error });
+    }
+    const ctx = { ...mapped, invoiceRules: await loadInvoiceNumberRules(pool) };
+
+    const gstResult = await pool.query(`SELECT * FROM ${log.gst_table_name} WHERE id = ANY($1::int[])`, [gstRowIds]);
+    const tallyResult = await pool.query(`SELECT * FROM ${log.tally_table_name} WHERE id = ANY($1::int[])`, [tallyRowIds]);
+    const missing = [
+      ...gstRowIds.filter(id => !gstResult.rows.some(row => row.id === id)).map(id => `GST row ${id}`),
+      ...tallyRowIds.filter(id => !tallyResult.rows.some(row => row.id === id)).map(id => `Tally row ${id}`)
+    ];
+    if (missing.length > 0) {
+      return res.status(404).json({ error: `Not in this log: ${missing.join(', ')}` });
+    }
+
+    // A remembered rule names documents; a log override names the rows (and keeps their documents for display)
+    const scope = req.body.remember ? 'rule' : 'log';
+    const refsOf = (rows, side) => rows.map(row => (scope === 'rule'
+      ? documentRef(ctx, row, side)
+      : { rowId: row.id, ...documentRef(ctx, row, side) }));
+    const gst = refsOf(gstResult.rows, 'gst');
+    const tally = refsOf(tallyResult.rows, 'tally');
+    if (scope === 'rule' && [...gst, ...tally].some(ref => !ref.supplierGstin || !ref.invoiceNumber)) {
+      return res.status(400).json({ error: 'A remembered rule needs a supplier GSTIN and invoice number on every row' });
+    }
+
+    let revoked = [];
+    if (action === 'repair') {
+      const touches = (refs, rows, side) => refs.some(ref => rows.some(row => refMatches(ctx, ref, row, side)));
+      const active = await loadOverrides(pool, parsedLogId);
+      const superseded = active.filter(override => (override.action === 'link'
+        ? touches(override.gst, gstResult.rows, 'gst') || touches(override.tally, tallyResult.rows, 'tally')
+        : touches(override.gst, gstResult.rows, 'gst') && touches(override.tally, tallyResult.rows, 'tally')));
+      revoked = await revokeOverrides(pool, superseded.map(override => override.id), user);
+    }
+
+    const override = await saveOverride(pool, {
+      logId: parsedLogId,
+      action: action === 'unlink' ? 'unlink' : 'link',
+      scope,
+      gst,
+      tally,
+      note: req.body.note,
+      createdBy: user
+    });
+    res.json({ success: true, override, revoked });
+  } catch (error) {
+    console.error('Error recording override:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Overrides that apply to a log's runs: its own and every remembered rule. ?includeRevoked=true adds revoked ones.
+app.get('/api/mapping-logs/:logId/overrides', async (req, res) => {
+  try {
+    const parsedLogId = Number(req.params.logId);
+    if (!Number.isInteger(parsedLogId) || parsedLogId <= 0) {
+      return res.status(400).json({ error: 'Invalid logId' });
+    }
+    const result = await pool.query(
+      `SELECT * FROM match_overrides
+       WHERE (log_id = $1 OR scope = 'rule') AND ($2 OR revoked_at IS NULL)
+       ORDER BY created_at, id`,
+      [parsedLogId, req.query.includeRevoked === 'true']
+    );
+    res.json({ overrides: result.rows });
+  } catch (error) {
+    console.error('Error fetching overrides:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Revoke an override; it stays on record with who revoked it and when
+app.delete('/api/match-overrides/:id', async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id) || id <= 0) {
+      return res.status(400).json({ error: 'Invalid override id' });
+    }
+    const user = String(req.body?.user || req.query.user || req.get('X-User') || '').trim();
+    if (!user) {
+      return res.status(400).json({ error: 'user is required to revoke an override' });
+    }
+    const revoked = await revokeOverrides(pool, [id], user);
+    if (revoked.length === 0) {
+      return res.status(404).json({ error: 'Active override not found' });
+    }
+    res.json({ success: true, revoked });
+  } catch (error) {
+    console.error('Error revoking override:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Books-to-portal ITC bridge for a mapping log, built from the result tables saved for it
+// (save-exact-matches, save-partial-minor, ...). Tables not saved yet count as empty and are
+// listed under missingTables.
+app.get('/api/mapping-logs/:logId/itc-bridge', async (req, res) => {
+  try {
+    const parsedLogId = Number(req.params.logId);
+    if (!Number.isInteger(parsedLogId) || parsedLogId <= 0) {
+      return res.status(400).json({ error: 'Invalid logId' });
+    }
+    const logResult = await pool.query('SELECT * FROM mapping_logs WHERE id = $1', [parsedLogId]);
+    const log = logResult.rows[0];
+    if (!log) {
+      return res.status(404).json({ error: 'Log not found' });
+    }
+    const mapped = logColumns(log);
+    if (mapped.error) {
+      return res.status(mapped.status).json({ error: mapped.error });
+    }
+
+    const tables = {
+      exact: `exact_matches_${parsedLogId}`,
+      partialMinor: `partial_minor_${parsedLogId}`,
+      partialMajor: `partial_major_${parsedLogId}`,
+      grouped: `group_matches_${parsedLogId}`,
+      gstOnly: `gst_only_${parsedLogId}`,
+      tallyOnly: `tally_only_${parsedLogId}`
+    };
+    const saved = {};
+    const missingTables = [];
+    for (const [key, table] of Object.entries(tables)) {
+      const exists = await pool.query('SELECT to_regclass($1) AS name', [table]);
+      if (!exists.rows[0].name) {
+        missingTables.push(table);
+        saved[key] = { table, rows: [] };
+        continue;
+      }
+      const result = await pool.query(`SELECT * FROM ${table} ORDER BY id`);
+      saved[key] = { table, rows: result.rows };
+    }
+
+    res.json({
+      logId: parsedLogId,
+      missingTables,
+      ...buildItcBridge(saved, mapped)
+    });
+  } catch (error) {
+    console.error('Error building ITC bridge:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Preview table data
 app.get('/api/preview-table/:tableName', async (req, res) => {
   try {
@@ -568,196 +1071,363 @@ app.get('/api/preview-table/:tableName', async (req, res) => {
   }
 });
 
-// Reconcile mapped data - Using SQL INTERSECT for perfect matches
-app.post('/api/reconcile-mapped-data', async (req, res) => {
+// Per-supplier invoice number rules used when canonicalizing invoice numbers for matching
+app.get('/api/invoice-number-rules', async (req, res) => {
   try {
-    const { logId, gstTableName, tallyTableName, gstColumns, tallyColumns } = req.body;
+    const result = await pool.query('SELECT * FROM invoice_number_rules ORDER BY supplier_gstin');
+    res.json({ rules: result.rows });
+  } catch (error) {
+    console.error('Error fetching invoice number rules:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    if (!gstTableName || !tallyTableName) {
-      return res.status(400).json({ error: 'Missing table names' });
+// Create or replace the rules for one supplier GSTIN
+app.put('/api/invoice-number-rules/:supplierGstin', async (req, res) => {
+  try {
+    const supplierGstin = String(req.params.supplierGstin).trim().toUpperCase();
+    const { stripPrefixes = [], stripSuffixes = [], stripPattern = null, ignoreFinancialYear = true, ignoreLeadingZeros = true } = req.body;
+
+    if (!Array.isArray(stripPrefixes) || !Array.isArray(stripSuffixes)) {
+      return res.status(400).json({ error: 'stripPrefixes and stripSuffixes must be arrays' });
+    }
+    if (stripPattern) {
+      const patternError = validateStripPattern(stripPattern);
+      if (patternError) {
+        return res.status(400).json({ error: patternError });
+      }
     }
 
-    if (!/^[a-z0-9_]+$/.test(gstTableName) || !/^[a-z0-9_]+$/.test(tallyTableName)) {
-      return res.status(400).json({ error: 'Invalid table names' });
+    const result = await pool.query(
+      `INSERT INTO invoice_number_rules (supplier_gstin, strip_prefixes, strip_suffixes, strip_pattern, ignore_financial_year, ignore_leading_zeros, updated_at)
+       VALUES ($1, $2, $3, $4, $5, $6, NOW())
+       ON CONFLICT (supplier_gstin) DO UPDATE SET
+         strip_prefixes = EXCLUDED.strip_prefixes,
+         strip_suffixes = EXCLUDED.strip_suffixes,
+         strip_pattern = EXCLUDED.strip_pattern,
+         ignore_financial_year = EXCLUDED.ignore_financial_year,
+         ignore_leading_zeros = EXCLUDED.ignore_leading_zeros,
+         updated_at = NOW()
+       RETURNING *`,
+      [supplierGstin, stripPrefixes, stripSuffixes, stripPattern || null, ignoreFinancialYear !== false, ignoreLeadingZeros !== false]
+    );
+    res.json({ success: true, rule: result.rows[0] });
+  } catch (error) {
+    console.error('Error saving invoice number rules:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete('/api/invoice-number-rules/:supplierGstin', async (req, res) => {
+  try {
+    const supplierGstin = String(req.params.supplierGstin).trim().toUpperCase();
+    const result = await pool.query('DELETE FROM invoice_number_rules WHERE supplier_gstin = $1', [supplierGstin]);
+    if (result.rowCount === 0) {
+      return res.status(404).json({ error: 'Rules not found' });
     }
+    res.json({ success: true, message: 'Invoice number rules deleted' });
+  } catch (error) {
+    console.error('Error deleting invoice number rules:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    const sanitizeColumnName = (name) => {
-      if (!name) return 'col_' + Date.now();
-      let sanitized = name.toLowerCase().replace(/[^a-z0-9_]/g, '_').replace(/_+/g, '_').replace(/^_|_$/g, '');
-      if (!sanitized) return 'col_' + Date.now();
-      if (/^\d/.test(sanitized)) {
-        sanitized = 'col_' + sanitized;
-      }
-      return sanitized;
-    };
+// Roles a mapped column pair can be tagged with
+app.get('/api/column-roles', (req, res) => {
+  res.json({ roles: COLUMN_ROLES, keyRoles: KEY_ROLES });
+});
 
-    const gstColumnNames = gstColumns.map(col => sanitizeColumnName(col));
-    const tallyColumnNames = tallyColumns.map(col => sanitizeColumnName(col));
+// Reason codes given to unmatched and partially matched items, most significant first
+app.get('/api/reason-codes', (req, res) => {
+  res.json({ reasonCodes: Object.entries(REASON_CODES).map(([code, description]) => ({ code, description })) });
+});
 
-    console.log('GST columns:', gstColumnNames);
-    console.log('Tally columns:', tallyColumnNames);
+// Match strategies the engine can run, and the order used when a request does not choose
+app.get('/api/match-strategies', (req, res) => {
+  res.json({ strategies: Object.keys(STRATEGIES), defaultOrder: DEFAULT_STRATEGIES });
+});
 
-    // Build SELECT clause for GST table (excluding id and created_at)
-    const gstSelectCols = gstColumnNames.join(', ');
-    
-    // Build SELECT clause for Tally table with column aliases to match GST
-    const tallySelectCols = tallyColumnNames.map((col, idx) => `${col} AS ${gstColumnNames[idx]}`).join(', ');
+// Named tolerance profiles used by the reconcile routes
+app.get('/api/tolerance-profiles', async (req, res) => {
+  try {
+    const result = await pool.query('SELECT * FROM tolerance_profiles ORDER BY name');
+    res.json({ profiles: result.rows });
+  } catch (error) {
+    console.error('Error fetching tolerance profiles:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    // Use SQL INTERSECT to find perfect matches
-    const intersectQuery = `
-      SELECT ${gstSelectCols} FROM ${gstTableName}
-      INTERSECT
-      SELECT ${tallySelectCols} FROM ${tallyTableName}
-    `;
+app.post('/api/tolerance-profiles', async (req, res) => {
+  try {
+    const name = String(req.body.name || '').trim();
+    if (!name) {
+      return res.status(400).json({ error: 'Profile name is required' });
+    }
+    const { profile, error } = validateToleranceProfile(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
 
-    console.log('Running INTERSECT query:', intersectQuery);
-    const exactMatchesResult = await pool.query(intersectQuery);
-    const exactMatches = exactMatchesResult.rows;
+    const result = await pool.query(
+      `INSERT INTO tolerance_profiles (name, amount_tolerances, date_window_days, max_differing_fields)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (name) DO NOTHING
+       RETURNING *`,
+      [name, JSON.stringify(profile.amountTolerances), profile.dateWindowDays, profile.maxDifferingFields]
+    );
+    if (result.rows.length === 0) {
+      return res.status(409).json({ error: `Tolerance profile "${name}" already exists` });
+    }
+    res.json({ success: true, profile: result.rows[0] });
+  } catch (error) {
+    console.error('Error creating tolerance profile:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    console.log('Exact matches found:', exactMatches.length);
+app.put('/api/tolerance-profiles/:name', async (req, res) => {
+  try {
+    const { profile, error } = validateToleranceProfile(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
 
-    // Get all GST data
-    const gstResult = await pool.query(`SELECT * FROM ${gstTableName}`);
-    const gstData = gstResult.rows;
+    const result = await pool.query(
+      `UPDATE tolerance_profiles
+       SET amount_tolerances = $2, date_window_days = $3, max_differing_fields = $4, updated_at = NOW()
+       WHERE name = $1
+       RETURNING *`,
+      [req.params.name, JSON.stringify(profile.amountTolerances), profile.dateWindowDays, profile.maxDifferingFields]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Tolerance profile not found' });
+    }
+    res.json({ success: true, profile: result.rows[0] });
+  } catch (error) {
+    console.error('Error updating tolerance profile:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    // Get all Tally data
-    const tallyResult = await pool.query(`SELECT * FROM ${tallyTableName}`);
-    const tallyData = tallyResult.rows;
+app.delete('/api/tolerance-profiles/:name', async (req, res) => {
+  try {
+    if (req.params.name === 'default') {
+      return res.status(400).json({ error: 'The default tolerance profile cannot be deleted' });
+    }
+    const result = await pool.query('DELETE FROM tolerance_profiles WHERE name = $1', [req.params.name]);
+    if (result.rowCount === 0) {
+      return res.status(404).json({ error: 'Tolerance profile not found' });
+    }
+    res.json({ success: true, message: 'Tolerance profile deleted' });
+  } catch (error) {
+    console.error('Error deleting tolerance profile:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
+// The open-items ledger for a taxpayer GSTIN, with how long each item has been outstanding.
+// ?status=open|matched|all (default open), ?side=gst|tally, ?asOf=YYYY-MM for the period count.
+app.get('/api/open-items', async (req, res) => {
+  try {
+    const gstin = gstinKey(req.query.gstin);
+    if (!gstin) {
+      return res.status(400).json({ error: 'gstin is required' });
+    }
+    const status = req.query.status || 'open';
+    if (!['open', 'matched', 'all'].includes(status)) {
+      return res.status(400).json({ error: "status must be 'open', 'matched' or 'all'" });
+    }
+    if (req.query.side && !['gst', 'tally'].includes(req.query.side)) {
+      return res.status(400).json({ error: "side must be 'gst' or 'tally'" });
+    }
+    const asOf = req.query.asOf ? parsePeriod(req.query.asOf) : null;
+    if (req.query.asOf && !asOf) {
+      return res.status(400).json({ error: 'asOf must be a period (YYYY-MM)' });
+    }
 
-    // Format exact matches with both GST and Tally data
-    const formattedExactMatches = exactMatches.map(match => {
-      // Find corresponding rows in GST and Tally
-      const gstRow = gstData.find(row => {
-        return gstColumnNames.every(col => String(row[col] || '').trim() === String(match[col] || '').trim());
-      });
-      
-      const tallyRow = tallyData.find(row => {
-        return gstColumnNames.every((col, idx) => String(row[tallyColumnNames[idx]] || '').trim() === String(match[col] || '').trim());
-      });
+    const result = await pool.query(
+      `SELECT * FROM open_items
+       WHERE gstin = $1 AND ($2 = 'all' OR status = $2) AND ($3::text IS NULL OR side = $3)
+       ORDER BY first_period, invoice_date, id`,
+      [gstin, status, req.query.side || null]
+    );
 
-      return {
-        gst: gstRow || match,
-        tally: tallyRow || match
-      };
+    const latestPeriod = asOf || result.rows.reduce((latest, item) => (item.first_period > latest ? item.first_period : latest), '');
+    const items = result.rows.map(item => ({ ...item, age: ageOf(item, latestPeriod || null) }));
+    const ageing = {};
+    items.filter(item => item.status === 'open').forEach(item => {
+      const bucket = item.age.bucket || 'unknown';
+      if (!ageing[bucket]) ageing[bucket] = { count: 0, itcAmount: 0 };
+      ageing[bucket].count++;
+      ageing[bucket].itcAmount = Math.round((ageing[bucket].itcAmount + Number(item.itc_amount || 0)) * 100) / 100;
     });
 
-    // Find partial matches (1-3 discrepancies)
-    const exactMatchSet = new Set();
-    exactMatches.forEach(match => {
-      const key = gstColumnNames.map(col => match[col]).join('|');
-      exactMatchSet.add(key);
-    });
+    res.json({ gstin, status, items, ageing });
+  } catch (error) {
+    console.error('Error fetching open items:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    const partialMatches = [];
-    const matchedGstIds = new Set();
-    const matchedTallyIds = new Set();
+// Supplier aliases: Tally party name / booked GSTIN -> 2B GSTIN. Reconcile runs add the
+// ones they infer; entries made here are marked manual and win over later guesses.
+app.get('/api/supplier-aliases', async (req, res) => {
+  try {
+    const result = await pool.query('SELECT * FROM supplier_aliases ORDER BY party_name, booked_gstin');
+    res.json({ aliases: result.rows });
+  } catch (error) {
+    console.error('Error fetching supplier aliases:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    // Track exact matches
-    formattedExactMatches.forEach(m => {
-      if (m.gst && m.gst.id) matchedGstIds.add(m.gst.id);
-      if (m.tally && m.tally.id) matchedTallyIds.add(m.tally.id);
-    });
+app.put('/api/supplier-aliases', async (req, res) => {
+  try {
+    const partyName = String(req.body.partyName || '').trim();
+    const bookedGstin = gstinKey(req.body.bookedGstin);
+    const gstin = gstinKey(req.body.gstin);
 
-    // Find partial matches for unmatched GST records
-    for (const gstRow of gstData) {
-      if (matchedGstIds.has(gstRow.id)) continue; // Skip already matched
+    if (!gstin) {
+      return res.status(400).json({ error: 'gstin is required' });
+    }
+    if (!normalizeName(partyName) && !bookedGstin) {
+      return res.status(400).json({ error: 'partyName or bookedGstin is required' });
+    }
 
-      let bestMatch = null;
-      let bestDiscrepancies = 999;
-      let discrepancyColumns = [];
+    const result = await pool.query(
+      `INSERT INTO supplier_aliases (party_key, party_name, booked_gstin, gstin, method, score, updated_at)
+       VALUES ($1, $2, $3, $4, 'manual', NULL, NOW())
+       ON CONFLICT (party_key, booked_gstin) DO UPDATE SET
+         party_name = EXCLUDED.party_name,
+         gstin = EXCLUDED.gstin,
+         method = 'manual',
+         score = NULL,
+         updated_at = NOW()
+       RETURNING *`,
+      [normalizeName(partyName), partyName, bookedGstin, gstin]
+    );
+    res.json({ success: true, alias: result.rows[0] });
+  } catch (error) {
+    console.error('Error saving supplier alias:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-      for (const tallyRow of tallyData) {
-        if (matchedTallyIds.has(tallyRow.id)) continue; // Skip already matched
+app.delete('/api/supplier-aliases/:id', async (req, res) => {
+  try {
+    const aliasId = Number(req.params.id);
+    if (!Number.isInteger(aliasId) || aliasId <= 0) {
+      return res.status(400).json({ error: 'Invalid alias id' });
+    }
+    const result = await pool.query('DELETE FROM supplier_aliases WHERE id = $1', [aliasId]);
+    if (result.rowCount === 0) {
+      return res.status(404).json({ error: 'Supplier alias not found' });
+    }
+    res.json({ success: true, message: 'Supplier alias deleted' });
+  } catch (error) {
+    console.error('Error deleting supplier alias:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-        let currentDiscrepancies = 0;
-        const currentDiscrepancyColumns = [];
+// Reconcile mapped data saved by /api/save-mapping
+app.post('/api/reconcile-mapped-data', async (req, res) => {
+  try {
+    const { logId, gstTableName, tallyTableName, gstColumns, tallyColumns, columnRoles } = req.body;
 
-        for (let i = 0; i < gstColumnNames.length; i++) {
-          const gstCol = gstColumnNames[i];
-          const tallyCol = tallyColumnNames[i];
+    if (!gstTableName || !tallyTableName) {
+      return res.status(400).json({ error: 'Missing table names' });
+    }
 
-          let gstVal = String(gstRow[gstCol] || '').trim();
-          let tallyVal = String(tallyRow[tallyCol] || '').trim();
+    if (!/^[a-z0-9_]+$/.test(gstTableName) || !/^[a-z0-9_]+$/.test(tallyTableName)) {
+      return res.status(400).json({ error: 'Invalid table names' });
+    }
 
-          // Normalize ISO date timestamps to just the date part
-          if (/^\d{4}-\d{2}-\d{2}T/.test(gstVal)) {
-            gstVal = gstVal.split('T')[0];
-          }
-          if (/^\d{4}-\d{2}-\d{2}T/.test(tallyVal)) {
-            tallyVal = tallyVal.split('T')[0];
-          }
+    const engine = await engineOptionsFromRequest(pool, req.body);
+    if (engine.error) {
+      return res.status(engine.status).json({ error: engine.error });
+    }
 
-          if (gstVal !== tallyVal) {
-            currentDiscrepancies++;
-            currentDiscrepancyColumns.push({
-              columnIndex: i,
-              gstColumn: gstColumnNames[i],
-              tallyColumn: tallyColumnNames[i],
-              gstValue: gstVal,
-              tallyValue: tallyVal
-            });
-          }
-        }
+    // Confidence and reason-code filters only shape the lists returned; counts cover every item
+    let confidenceQuery;
+    let reasonCodeQuery;
+    try {
+      confidenceQuery = parseConfidenceQuery(req.body);
+      reasonCodeQuery = parseReasonCodeQuery(req.body);
+    } catch (queryError) {
+      return res.status(400).json({ error: queryError.message });
+    }
 
-        // Keep matches with 1-3 discrepancies, prefer fewer discrepancies
-        if (currentDiscrepancies >= 1 && currentDiscrepancies <= 3 && currentDiscrepancies < bestDiscrepancies) {
-          bestMatch = tallyRow;
-          bestDiscrepancies = currentDiscrepancies;
-          discrepancyColumns = currentDiscrepancyColumns;
-        }
+    const sanitizeColumnName = (name) => {
+      if (!name) return 'col_' + Date.now();
+      let sanitized = name.toLowerCase().replace(/[^a-z0-9_]/g, '_').replace(/_+/g, '_').replace(/^_|_$/g, '');
+      if (!sanitized) return 'col_' + Date.now();
+      if (/^\d/.test(sanitized)) {
+        sanitized = 'col_' + sanitized;
       }
+      return sanitized;
+    };
 
-      if (bestMatch && bestDiscrepancies <= 3) {
-        // Calculate individual monetary discrepancies for tax/value columns
-        let hasLargeDiscrepancy = false;
-        let maxDiscrepancy = 0;
-        const taxColumns = ['taxable_value', 'col_taxable_value', 'igst', 'col_igst', 'cgst', 'col_cgst', 'sgst', 'col_sgst', 'integrated_tax', 'col_integrated_tax', 'central_tax', 'col_central_tax', 'state_ut_tax', 'col_state_ut_tax'];
-        
-        discrepancyColumns.forEach((disc) => {
-          const colName = disc.gstColumn.toLowerCase();
-          if (taxColumns.some(tc => colName.includes(tc))) {
-            const gstNum = parseFloat(String(disc.gstValue).replace(/[^0-9.-]/g, '')) || 0;
-            const tallyNum = parseFloat(String(disc.tallyValue).replace(/[^0-9.-]/g, '')) || 0;
-            const diff = Math.abs(gstNum - tallyNum);
-            maxDiscrepancy = Math.max(maxDiscrepancy, diff);
-            if (diff >= 1) {
-              hasLargeDiscrepancy = true;
-            }
-          }
-        });
-
-        partialMatches.push({
-          gst: gstRow,
-          tally: bestMatch,
-          discrepancies: bestDiscrepancies,
-          discrepancyColumns: discrepancyColumns,
-          maxDiscrepancy: maxDiscrepancy,
-          isMinor: !hasLargeDiscrepancy && maxDiscrepancy > 0
-        });
-        matchedGstIds.add(gstRow.id);
-        matchedTallyIds.add(bestMatch.id);
-      }
+    const gstColumnNames = gstColumns.map(col => sanitizeColumnName(col));
+    const tallyColumnNames = tallyColumns.map(col => sanitizeColumnName(col));
+
+    // Roles come from the request, else from the saved mapping, else from the column names
+    let roles;
+    try {
+      roles = resolveColumnRoles(gstColumns, tallyColumns, columnRoles || await savedColumnRoles(pool, logId, gstColumns, tallyColumns));
+    } catch (roleError) {
+      return res.status(400).json({ error: roleError.message });
+    }
+    const rolesError = unmatchableRolesError(roles);
+    if (rolesError) {
+      return res.status(400).json({ error: rolesError });
     }
 
-    // Update GST-only and Tally-only lists (exclude partial matches)
-    const gstOnlyFiltered = gstData.filter(row => !matchedGstIds.has(row.id));
-    const tallyOnlyFiltered = tallyData.filter(row => !matchedTallyIds.has(row.id));
+    const gstResult = await pool.query(`SELECT * FROM ${gstTableName}`);
+    const tallyResult = await pool.query(`SELECT * FROM ${tallyTableName}`);
+
+    const results = runReconciliation(gstResult.rows, tallyResult.rows, gstColumnNames, tallyColumnNames, { ...engine.options, roles });
+    await saveSupplierAliases(pool, results.supplierResolutions);
+    const openItems = await recordOpenItems(engine.ledger, results, { gst: gstColumnNames, tally: tallyColumnNames }, roles);
 
-    console.log('Partial matches:', partialMatches.length);
+    console.log('Reconciliation summary:', results.summary);
 
     return res.json({
       success: true,
       logId,
-      exactMatches: formattedExactMatches.length,
-      partialMatches: partialMatches.length,
-      gstOnly: gstOnlyFiltered.length,
-      tallyOnly: tallyOnlyFiltered.length,
+      exactMatches: results.summary.exactMatches,
+      partialMatches: results.summary.partialMatches,
+      groupMatches: results.summary.groupMatches,
+      manualMatches: results.summary.manualMatches,
+      gstOnly: results.summary.gstOnly,
+      tallyOnly: results.summary.tallyOnly,
+      creditNotes: results.summary.creditNotes,
+      debitNotes: results.summary.debitNotes,
+      carriedForward: results.summary.carriedForward,
+      timingDifferences: results.summary.timingDifferences,
+      duplicates: results.summary.duplicates,
+      suspectedDuplicates: results.summary.suspectedDuplicates,
+      taxHeadIssues: results.summary.taxHeadIssues,
+      arithmeticIssues: results.summary.arithmeticIssues,
+      reasonCodes: results.summary.reasonCodes,
+      ledger: engine.ledger,
+      openItems,
+      overrides: results.overrides,
+      strategies: results.strategies,
+      toleranceProfile: results.toleranceProfile,
+      supplierResolutions: results.supplierResolutions,
+      columnRoles: roles,
+      aggregated: results.aggregated,
       details: {
-        exact: formattedExactMatches,
-        partial: partialMatches,
-        gstOnly: gstOnlyFiltered,
-        tallyOnly: tallyOnlyFiltered
+        exact: applyReasonCodeQuery(applyConfidenceQuery(results.exact, confidenceQuery), reasonCodeQuery),
+        partial: applyReasonCodeQuery(applyConfidenceQuery(results.partial, confidenceQuery), reasonCodeQuery),
+        grouped: applyReasonCodeQuery(applyConfidenceQuery(results.grouped, confidenceQuery), reasonCodeQuery),
+        notes: results.notes,
+        duplicates: applyReasonCodeQuery(results.duplicates, reasonCodeQuery),
+        rowChecks: results.rowChecks,
+        gstOnly: applyReasonCodeQuery(results.gstOnly, reasonCodeQuery),
+        tallyOnly: applyReasonCodeQuery(results.tallyOnly, reasonCodeQuery)
       }
     });
   } catch (error) {
@@ -813,23 +1483,26 @@ app.post('/api/save-exact-matches', async (req, res) => {
     console.log('Columns:', columnsSQL);
     console.log('GST columns:', originalColumns);
 
-    // Create table
+    // Create table. The GST side is stored as columns; _tally keeps the Tally row as booked
+    // (the sides agree within tolerance, not to the paisa), and _timing_* record a match
+    // against an item carried from another period (sanitized names never start with '_')
     await pool.query(`
       CREATE TABLE IF NOT EXISTS ${matchTableName} (
         id SERIAL PRIMARY KEY,
         ${columnsSQL},
+        _tally JSONB,
+        _timing_sides TEXT,
+        _timing_from TEXT,
         created_at TIMESTAMP DEFAULT NOW()
       )
     `);
+    await pool.query(`ALTER TABLE ${matchTableName} ADD COLUMN IF NOT EXISTS _tally JSONB`);
+    await pool.query(`ALTER TABLE ${matchTableName} ADD COLUMN IF NOT EXISTS _timing_sides TEXT`);
+    await pool.query(`ALTER TABLE ${matchTableName} ADD COLUMN IF NOT EXISTS _timing_from TEXT`);
 
     // Insert matched records
     console.log('Inserting', exactMatches.length, 'matched records');
-    const placeholders = sanitizedCols.map((_, i) => `$${i + 1}`).join(', ');
-    const columnNames = sanitizedCols.map((c) => `"${c}"`).join(', ');
-
-    const insertSql = `INSERT INTO ${matchTableName} (${columnNames}, created_at) VALUES (${placeholders}, NOW())`;
-
-    for (const match of exactMatches) {
+    await bulkInsert(pool, matchTableName, [...sanitizedCols.map((c) => `"${c}"`), '_tally', '_timing_sides', '_timing_from'], exactMatches.map((match) => {
       const gstRow = match.gst || {};
       const values = sanitizedCols.map((sanitized) => {
         let value = gstRow[sanitized] ?? null;
@@ -838,9 +1511,9 @@ app.post('/api/save-exact-matches', async (req, res) => {
         }
         return value;
       });
-
-      await pool.query(insertSql, values);
-    }
+      const timing = match.timingDifference;
+      return [...values, match.tally ? JSON.stringify(match.tally) : null, timing ? timing.carriedSides.join(',') : null, timing ? timing.fromPeriod : null];
+    }));
 
     console.log('Exact matches saved successfully');
     return res.json({
@@ -897,28 +1570,27 @@ app.post('/api/save-gst-only', async (req, res) => {
       .map(col => `"${col}" TEXT`)
       .join(', ');
 
+    // _reason_codes: why the row is unmatched (see reasonCodes.js); sanitized names never start with '_'
     await pool.query(`
       CREATE TABLE IF NOT EXISTS ${tableName} (
         id SERIAL PRIMARY KEY,
         ${columnsSQL},
+        _reason_codes TEXT[],
         created_at TIMESTAMP DEFAULT NOW()
       )
     `);
+    await pool.query(`ALTER TABLE ${tableName} ADD COLUMN IF NOT EXISTS _reason_codes TEXT[]`);
 
-    const placeholders = sanitizedCols.map((_, i) => `$${i + 1}`).join(', ');
-    const columnNames = sanitizedCols.map((c) => `"${c}"`).join(', ');
-    const insertSql = `INSERT INTO ${tableName} (${columnNames}, created_at) VALUES (${placeholders}, NOW())`;
-
-    for (const row of gstOnlyRows) {
-      const values = sanitizedCols.map((sanitized) => {
+    await bulkInsert(pool, tableName, [...sanitizedCols.map((c) => `"${c}"`), '_reason_codes'], gstOnlyRows.map((row) => [
+      ...sanitizedCols.map((sanitized) => {
         let value = row?.[sanitized] ?? null;
         if (value && typeof value === 'string' && /^\d{4}-\d{2}-\d{2}T/.test(value)) {
           value = value.split('T')[0];
         }
         return value;
-      });
-      await pool.query(insertSql, values);
-    }
+      }),
+      row?._reasonCodes ?? []
+    ]));
 
     return res.json({
       success: true,
@@ -974,28 +1646,27 @@ app.post('/api/save-tally-only', async (req, res) => {
       .map(col => `"${col}" TEXT`)
       .join(', ');
 
+    // _reason_codes: why the row is unmatched (see reasonCodes.js); sanitized names never start with '_'
     await pool.query(`
       CREATE TABLE IF NOT EXISTS ${tableName} (
         id SERIAL PRIMARY KEY,
         ${columnsSQL},
+        _reason_codes TEXT[],
         created_at TIMESTAMP DEFAULT NOW()
       )
     `);
+    await pool.query(`ALTER TABLE ${tableName} ADD COLUMN IF NOT EXISTS _reason_codes TEXT[]`);
 
-    const placeholders = sanitizedCols.map((_, i) => `$${i + 1}`).join(', ');
-    const columnNames = sanitizedCols.map((c) => `"${c}"`).join(', ');
-    const insertSql = `INSERT INTO ${tableName} (${columnNames}, created_at) VALUES (${placeholders}, NOW())`;
-
-    for (const row of tallyOnlyRows) {
-      const values = sanitizedCols.map((sanitized) => {
+    await bulkInsert(pool, tableName, [...sanitizedCols.map((c) => `"${c}"`), '_reason_codes'], tallyOnlyRows.map((row) => [
+      ...sanitizedCols.map((sanitized) => {
         let value = row?.[sanitized] ?? null;
         if (value && typeof value === 'string' && /^\d{4}-\d{2}-\d{2}T/.test(value)) {
           value = value.split('T')[0];
         }
         return value;
-      });
-      await pool.query(insertSql, values);
-    }
+      }),
+      row?._reasonCodes ?? []
+    ]));
 
     return res.json({
       success: true,
@@ -1033,19 +1704,23 @@ app.post('/api/save-partial-minor', async (req, res) => {
         tally JSONB,
         discrepancies INTEGER,
         max_discrepancy NUMERIC,
+        tolerance_profile TEXT,
+        document_type TEXT,
+        reason_codes TEXT[],
         created_at TIMESTAMP DEFAULT NOW()
       )
     `);
+    await pool.query(`ALTER TABLE ${tableName} ADD COLUMN IF NOT EXISTS tolerance_profile TEXT`);
+    await pool.query(`ALTER TABLE ${tableName} ADD COLUMN IF NOT EXISTS document_type TEXT`);
+    await pool.query(`ALTER TABLE ${tableName} ADD COLUMN IF NOT EXISTS reason_codes TEXT[]`);
 
-    const insertSql = `INSERT INTO ${tableName} (gst, tally, discrepancies, max_discrepancy, created_at) VALUES ($1, $2, $3, $4, NOW())`;
-
-    for (const match of partialMatches) {
+    await bulkInsert(pool, tableName, ['gst', 'tally', 'discrepancies', 'max_discrepancy', 'tolerance_profile', 'document_type', 'reason_codes'], partialMatches.map((match) => {
       const gst = match?.gst ?? null;
       const tally = match?.tally ?? null;
       const discrepancies = Number(match?.discrepancies ?? 0);
       const maxDiscrepancy = Number(match?.maxDiscrepancy ?? match?.max_discrepancy ?? 0);
-      await pool.query(insertSql, [gst, tally, Number.isFinite(discrepancies) ? discrepancies : 0, Number.isFinite(maxDiscrepancy) ? maxDiscrepancy : 0]);
-    }
+      return [gst, tally, Number.isFinite(discrepancies) ? discrepancies : 0, Number.isFinite(maxDiscrepancy) ? maxDiscrepancy : 0, match?.toleranceProfile ?? null, match?.documentType ?? 'invoice', match?.reasonCodes ?? []];
+    }));
 
     return res.json({
       success: true,
@@ -1083,19 +1758,23 @@ app.post('/api/save-partial-major', async (req, res) => {
         tally JSONB,
         discrepancies INTEGER,
         max_discrepancy NUMERIC,
+        tolerance_profile TEXT,
+        document_type TEXT,
+        reason_codes TEXT[],
         created_at TIMESTAMP DEFAULT NOW()
       )
     `);
+    await pool.query(`ALTER TABLE ${tableName} ADD COLUMN IF NOT EXISTS tolerance_profile TEXT`);
+    await pool.query(`ALTER TABLE ${tableName} ADD COLUMN IF NOT EXISTS document_type TEXT`);
+    await pool.query(`ALTER TABLE ${tableName} ADD COLUMN IF NOT EXISTS reason_codes TEXT[]`);
 
-    const insertSql = `INSERT INTO ${tableName} (gst, tally, discrepancies, max_discrepancy, created_at) VALUES ($1, $2, $3, $4, NOW())`;
-
-    for (const match of partialMatches) {
+    await bulkInsert(pool, tableName, ['gst', 'tally', 'discrepancies', 'max_discrepancy', 'tolerance_profile', 'document_type', 'reason_codes'], partialMatches.map((match) => {
       const gst = match?.gst ?? null;
       const tally = match?.tally ?? null;
       const discrepancies = Number(match?.discrepancies ?? 0);
       const maxDiscrepancy = Number(match?.maxDiscrepancy ?? match?.max_discrepancy ?? 0);
-      await pool.query(insertSql, [gst, tally, Number.isFinite(discrepancies) ? discrepancies : 0, Number.isFinite(maxDiscrepancy) ? maxDiscrepancy : 0]);
-    }
+      return [gst, tally, Number.isFinite(discrepancies) ? discrepancies : 0, Number.isFinite(maxDiscrepancy) ? maxDiscrepancy : 0, match?.toleranceProfile ?? null, match?.documentType ?? 'invoice', match?.reasonCodes ?? []];
+    }));
 
     return res.json({
       success: true,
@@ -1110,30 +1789,153 @@ app.post('/api/save-partial-major', async (req, res) => {
   }
 });
 
+// Save grouped N:M matches to database (stores both sides' rows and totals as JSONB)
+app.post('/api/save-group-matches', async (req, res) => {
+  try {
+    const { logId, groupMatches } = req.body;
+
+    if (!logId || !groupMatches || groupMatches.length === 0) {
+      return res.status(400).json({ error: 'Missing required parameters' });
+    }
+
+    const parsedLogId = Number(logId);
+    if (!Number.isInteger(parsedLogId) || parsedLogId <= 0) {
+      return res.status(400).json({ error: 'Invalid logId' });
+    }
+
+    const tableName = `group_matches_${parsedLogId}`;
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS ${tableName} (
+        id SERIAL PRIMARY KEY,
+        group_type TEXT,
+        gst JSONB,
+        tally JSONB,
+        gst_totals JSONB,
+        tally_totals JSONB,
+        tolerance_profile TEXT,
+        document_type TEXT,
+        reason_codes TEXT[],
+        created_at TIMESTAMP DEFAULT NOW()
+      )
+    `);
+    await pool.query(`ALTER TABLE ${tableName} ADD COLUMN IF NOT EXISTS document_type TEXT`);
+    await pool.query(`ALTER TABLE ${tableName} ADD COLUMN IF NOT EXISTS reason_codes TEXT[]`);
+
+    await bulkInsert(pool, tableName, ['group_type', 'gst', 'tally', 'gst_totals', 'tally_totals', 'tolerance_profile', 'document_type', 'reason_codes'], groupMatches.map((group) => [
+      group?.type ?? null,
+      JSON.stringify(group?.gst ?? []),
+      JSON.stringify(group?.tally ?? []),
+      group?.gstTotals ?? null,
+      group?.tallyTotals ?? null,
+      group?.toleranceProfile ?? null,
+      group?.documentType ?? 'invoice',
+      group?.reasonCodes ?? []
+    ]));
+
+    return res.json({
+      success: true,
+      logId,
+      tableName,
+      recordsCount: groupMatches.length,
+      message: 'Grouped matches saved successfully'
+    });
+  } catch (error) {
+    console.error('Error saving grouped matches:', error);
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+// Save duplicate entries set aside by the reconcile run (kept copy and its duplicates as JSONB)
+app.post('/api/save-duplicates', async (req, res) => {
+  try {
+    const { logId, duplicates } = req.body;
+
+    if (!logId || !duplicates || duplicates.length === 0) {
+      return res.status(400).json({ error: 'Missing required parameters' });
+    }
+
+    const parsedLogId = Number(logId);
+    if (!Number.isInteger(parsedLogId) || parsedLogId <= 0) {
+      return res.status(400).json({ error: 'Invalid logId' });
+    }
+
+    const tableName = `duplicates_${parsedLogId}`;
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS ${tableName} (
+        id SERIAL PRIMARY KEY,
+        side TEXT,
+        kind TEXT,
+        kept JSONB,
+        duplicates JSONB,
+        duplicate_count INTEGER,
+        reason_codes TEXT[],
+        created_at TIMESTAMP DEFAULT NOW()
+      )
+    `);
+    await pool.query(`ALTER TABLE ${tableName} ADD COLUMN IF NOT EXISTS reason_codes TEXT[]`);
+
+    await bulkInsert(pool, tableName, ['side', 'kind', 'kept', 'duplicates', 'duplicate_count', 'reason_codes'], duplicates.map((set) => [
+      set?.side ?? null,
+      set?.kind ?? null,
+      set?.kept ?? null,
+      JSON.stringify(set?.duplicates ?? []),
+      Array.isArray(set?.duplicates) ? set.duplicates.length : 0,
+      set?.reasonCodes ?? ['duplicate']
+    ]));
+
+    return res.json({
+      success: true,
+      logId,
+      tableName,
+      recordsCount: duplicates.length,
+      message: 'Duplicates saved successfully'
+    });
+  } catch (error) {
+    console.error('Error saving duplicates:', error);
+    return res.status(500).json({ error: error.message });
+  }
+});
+
 // Save mapping endpoint - stores mapped data with actual column names and date detection
 app.post('/api/save-mapping', async (req, res) => {
   try {
-    const { uploadId, gstColumns, tallyColumns, gstHeaderRow, tallyHeaderRow } = req.body;
+    const { uploadId, gstColumns, tallyColumns, columnRoles } = req.body;
 
     if (!uploadId || !gstColumns || !tallyColumns) {
       return res.status(400).json({ error: 'Missing required parameters' });
     }
 
+    let roles;
+    try {
+      roles = resolveColumnRoles(gstColumns, tallyColumns, columnRoles);
+    } catch (roleError) {
+      return res.status(400).json({ error: roleError.message });
+    }
+
     // Get upload data
-    const uploadResult = await pool.query('SELECT gst_data, tally_data FROM uploads WHERE id = $1', [uploadId]);
+    const uploadResult = await pool.query('SELECT gst_header_row, tally_header_row FROM uploads WHERE id = $1', [uploadId]);
     if (uploadResult.rows.length === 0) {
       return res.status(404).json({ error: 'Upload not found' });
     }
 
-    const { gst_data, tally_data } = uploadResult.rows[0];
-    const gstData = typeof gst_data === 'string' ? JSON.parse(gst_data) : gst_data;
-    const tallyData = typeof tally_data === 'string' ? JSON.parse(tally_data) : tally_data;
+    const gstHeader = uploadHeaderRow(uploadResult.rows[0].gst_header_row, req.body.gstHeaderRow);
+    const tallyHeader = uploadHeaderRow(uploadResult.rows[0].tally_header_row, req.body.tallyHeaderRow);
+    const gstHeaderRow = gstHeader.headerRow;
+    const tallyHeaderRow = tallyHeader.headerRow;
+
+    let stageStart = Date.now();
+    const gstData = (await loadUploadRows(pool, uploadId, 'gst')).slice(gstHeader.skipRows);
+    const tallyData = (await loadUploadRows(pool, uploadId, 'tally')).slice(tallyHeader.skipRows);
+    const timings = { loadMs: Date.now() - stageStart };
 
     // Filter out empty mappings
     const validMappings = gstColumns
       .map((gstCol, idx) => ({
         gstCol,
-        tallyCol: tallyColumns[idx]
+        tallyCol: tallyColumns[idx],
+        role: roles[idx]
       }))
       .filter(m => m.gstCol && m.tallyCol);
 
@@ -1146,17 +1948,7 @@ app.post('/api/save-mapping', async (req, res) => {
     console.log('Tally Columns:', JSON.stringify(tallyColumns));
     console.log('Valid Mappings:');
     validMappings.forEach((m, idx) => {
-      console.log(`  [${idx}] GST: "${m.gstCol}" -> Tally: "${m.tallyCol}"`);
-    });
-    
-    // Show which columns will be date columns
-    console.log('\n=== DATE COLUMN DETECTION ===');
-    validMappings.forEach((m, idx) => {
-      const gstIsInvoiceDate = m.gstCol.toLowerCase().trim() === 'invoice date';
-      const tallyIsInvoiceDate = m.tallyCol.toLowerCase().trim() === 'invoice date';
-      if (gstIsInvoiceDate || tallyIsInvoiceDate) {
-        console.log(`  [${idx}] POTENTIAL DATE: GST="${m.gstCol}" (${gstIsInvoiceDate ? 'YES' : 'NO'}) -> Tally="${m.tallyCol}" (${tallyIsInvoiceDate ? 'YES' : 'NO'})`);
-      }
+      console.log(`  [${idx}] GST: "${m.gstCol}" -> Tally: "${m.tallyCol}" (${m.role})`);
     });
 
     // Helper functions
@@ -1274,30 +2066,24 @@ app.post('/api/save-mapping', async (req, res) => {
       return sanitized;
     };
 
-    // Skip rows before header row
-    const gstDataFiltered = gstData.slice(gstHeaderRow - 1);
-    const tallyDataFiltered = tallyData.slice(tallyHeaderRow - 1);
-
-    // Detect date columns - ONLY "Invoice Date" column
+    // Detect date columns - ONLY the pair tagged with the invoiceDate role
     const gstDateColumns = new Set();
     const tallyDateColumns = new Set();
     
     validMappings.forEach(m => {
       console.log(`Checking mapping: GST="${m.gstCol}" -> Tally="${m.tallyCol}"`);
       
-      // Only check for exact column name "Invoice Date" (case-insensitive)
-      const gstIsInvoiceDate = m.gstCol.toLowerCase().trim() === 'invoice date';
-      const tallyIsInvoiceDate = m.tallyCol.toLowerCase().trim() === 'invoice date';
+      const isInvoiceDate = m.role === 'invoiceDate';
 
-      console.log(`  GST is Invoice Date: ${gstIsInvoiceDate}, Tally is Invoice Date: ${tallyIsInvoiceDate}`);
+      console.log(`  Invoice Date role: ${isInvoiceDate}`);
 
-      // Check GST column - only if it's "Invoice Date"
-      if (gstIsInvoiceDate) {
+      // Check GST column - only if it's the invoice date
+      if (isInvoiceDate) {
         let gstAllDatesOrEmpty = true;
         let gstHasAtLeastOneDate = false;
-        for (let i = 0; i < Math.min(10, gstDataFiltered.length); i++) {
-          if (gstDataFiltered[i]) {
-            const val = gstDataFiltered[i][m.gstCol];
+        for (let i = 0; i < Math.min(10, gstData.length); i++) {
+          if (gstData[i]) {
+            const val = gstData[i][m.gstCol];
             if (val && String(val).trim()) {
               if (isDateValue(val)) {
                 gstHasAtLeastOneDate = true;
@@ -1314,13 +2100,13 @@ app.post('/api/save-mapping', async (req, res) => {
         }
       }
 
-      // Check Tally column - only if it's "Invoice Date"
-      if (tallyIsInvoiceDate) {
+      // Check Tally column - only if it's the invoice date
+      if (isInvoiceDate) {
         let tallyAllDatesOrEmpty = true;
         let tallyHasAtLeastOneDate = false;
-        for (let i = 0; i < Math.min(10, tallyDataFiltered.length); i++) {
-          if (tallyDataFiltered[i]) {
-            const val = tallyDataFiltered[i][m.tallyCol];
+        for (let i = 0; i < Math.min(10, tallyData.length); i++) {
+          if (tallyData[i]) {
+            const val = tallyData[i][m.tallyCol];
             if (val && String(val).trim()) {
               if (isDateValue(val)) {
                 tallyHasAtLeastOneDate = true;
@@ -1341,6 +2127,11 @@ app.post('/api/save-mapping', async (req, res) => {
     console.log('Final date columns - GST:', Array.from(gstDateColumns));
     console.log('Final date columns - Tally:', Array.from(tallyDateColumns));
 
+    // Validate the columns tagged as the supplier GSTIN; invalid values are reported, not rejected
+    const gstinValidation = validMappings
+      .filter(m => m.role === 'supplierGstin')
+      .flatMap(m => [gstinColumnReport(gstData, m.gstCol, 'gst'), gstinColumnReport(tallyData, m.tallyCol, 'tally')]);
+
     // Create dynamic table names
     const logId = Date.now();
     const gstTableName = `gst_mapped_log_${logId}`;
@@ -1400,23 +2191,19 @@ app.post('/api/save-mapping', async (req, res) => {
 
     // Insert GST data
     try {
-      console.log('Inserting GST data, rows:', gstDataFiltered.length);
-      for (const row of gstDataFiltered) {
-        const values = validMappings.map(m => {
+      console.log('Inserting GST data, rows:', gstData.length);
+      stageStart = Date.now();
+      const columnNames = validMappings.map(m => sanitizeColumnName(m.gstCol));
+      await bulkInsert(pool, gstTableName, columnNames, gstData.map(row =>
+        validMappings.map(m => {
           const val = row[m.gstCol] || null;
           if (gstDateColumns.has(m.gstCol)) {
             return convertToStandardDate(val);
           }
           return normalizeValueForDB(val);
-        });
-        const placeholders = validMappings.map((_, i) => `$${i + 1}`).join(', ');
-        const columnNames = validMappings.map(m => sanitizeColumnName(m.gstCol)).join(', ');
-
-        await pool.query(
-          `INSERT INTO ${gstTableName} (${columnNames}, created_at) VALUES (${placeholders}, NOW())`,
-          values
-        );
-      }
+        })
+      ));
+      timings.gstInsertMs = Date.now() - stageStart;
       console.log('GST data inserted successfully');
     } catch (err) {
       console.error('Error inserting GST data:', err.message);
@@ -1425,23 +2212,19 @@ app.post('/api/save-mapping', async (req, res) => {
 
     // Insert Tally data
     try {
-      console.log('Inserting Tally data, rows:', tallyDataFiltered.length);
-      for (const row of tallyDataFiltered) {
-        const values = validMappings.map(m => {
+      console.log('Inserting Tally data, rows:', tallyData.length);
+      stageStart = Date.now();
+      const columnNames = validMappings.map(m => sanitizeColumnName(m.tallyCol));
+      await bulkInsert(pool, tallyTableName, columnNames, tallyData.map(row =>
+        validMappings.map(m => {
           const val = row[m.tallyCol] || null;
           if (tallyDateColumns.has(m.tallyCol)) {
             return convertToStandardDate(val);
           }
           return normalizeValueForDB(val);
-        });
-        const placeholders = validMappings.map((_, i) => `$${i + 1}`).join(', ');
-        const columnNames = validMappings.map(m => sanitizeColumnName(m.tallyCol)).join(', ');
-
-        await pool.query(
-          `INSERT INTO ${tallyTableName} (${columnNames}, created_at) VALUES (${placeholders}, NOW())`,
-          values
-        );
-      }
+        })
+      ));
+      timings.tallyInsertMs = Date.now() - stageStart;
       console.log('Tally data inserted successfully');
     } catch (err) {
       console.error('Error inserting Tally data:', err.message);
@@ -1450,9 +2233,9 @@ app.post('/api/save-mapping', async (req, res) => {
 
     // Store mapping log
     const logResult = await pool.query(
-      `INSERT INTO mapping_logs (upload_id, gst_columns, tally_columns, gst_header_row, tally_header_row, gst_table_name, tally_table_name, created_at) 
-       VALUES ($1, $2, $3, $4, $5, $6, $7, NOW()) RETURNING id`,
-      [uploadId, gstColumns, tallyColumns, gstHeaderRow, tallyHeaderRow, gstTableName, tallyTableName]
+      `INSERT INTO mapping_logs (upload_id, gst_columns, tally_columns, gst_header_row, tally_header_row, gst_table_name, tally_table_name, column_roles, created_at) 
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, NOW()) RETURNING id`,
+      [uploadId, gstColumns, tallyColumns, gstHeaderRow, tallyHeaderRow, gstTableName, tallyTableName, roles]
     );
 
     const savedLogId = logResult.rows[0].id;
@@ -1463,6 +2246,9 @@ app.post('/api/save-mapping', async (req, res) => {
       logId: savedLogId,
       gstTableName,
       tallyTableName,
+      columnRoles: roles,
+      gstinValidation,
+      timings,
       message: 'Mapping saved successfully'
     });
   } catch (error) {
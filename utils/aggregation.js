@@ -0,0 +1,64 @@
+import { ROLE_TAX_HEADS } from './columnRoles.js';
+import { parseAmount } from './tolerance.js';
+
+// GSTR-2B and Tally exports often split one invoice into a row per tax rate or ledger.
+// Aggregation folds those lines into one invoice-level row before matching, summing
+// the monetary roles; the original lines stay on the row as _lines for drill-down.
+
+// Lines with the same values for these roles belong to the same invoice
+const GROUP_ROLES = ['supplierGstin', 'invoiceNumber', 'invoiceDate'];
+
+function groupValue(value) {
+  if (value instanceof Date) {
+    return `${value.getFullYear()}-${String(value.getMonth() + 1).padStart(2, '0')}-${String(value.getDate()).padStart(2, '0')}`;
+  }
+  return String(value ?? '').trim().toLowerCase();
+}
+
+function mergeLines(lines, columnNames, moneyIndexes) {
+  const merged = { ...lines[0] };
+  moneyIndexes.forEach(idx => {
+    const col = columnNames[idx];
+    const total = lines.reduce((sum, line) => sum + parseAmount(line[col]), 0);
+    merged[col] = String(Math.round(total * 100) / 100);
+  });
+  merged._lines = lines;
+  return merged;
+}
+
+// rows are keyed by columnNames, which line up with roles. Without an invoiceNumber role,
+// or for rows with no invoice number, rows pass through unchanged. Single-line invoices are
+// returned as they are; output order follows each invoice's first line.
+export function aggregateInvoiceLines(rows, columnNames, roles) {
+  const invoiceIdx = roles.indexOf('invoiceNumber');
+  if (invoiceIdx < 0) return rows;
+
+  const groupIndexes = GROUP_ROLES.map(role => roles.indexOf(role)).filter(idx => idx >= 0);
+  const moneyIndexes = roles.map((role, idx) => (ROLE_TAX_HEADS[role] ? idx : -1)).filter(idx => idx >= 0);
+
+  const result = [];
+  const groups = new Map();
+  rows.forEach(row => {
+    if (groupValue(row[columnNames[invoiceIdx]]) === '') {
+      result.push(row);
+      return;
+    }
+    const key = groupIndexes.map(idx => groupValue(row[columnNames[idx]])).join('|');
+    let group = groups.get(key);
+    if (!group) {
+      group = { position: result.length, lines: [] };
+      groups.set(key, group);
+      result.push(null);
+    }
+    group.lines.push(row);
+  });
+
+  groups.forEach(group => {
+    result[group.position] = group.lines.length === 1 ? group.lines[0] : mergeLines(group.lines, columnNames, moneyIndexes);
+  });
+  return result;
+}
+
+export function countAggregated(rows) {
+  return rows.filter(row => row && row._lines).length;
+}
@@ -0,0 +1,78 @@
+import { invoiceNumberKeys } from './invoiceNumber.js';
+
+// Candidate generation for partial matching. Instead of comparing every unmatched GST
+// row with every unmatched Tally row, rows are filed under block keys and only rows
+// sharing a key are compared. The keys are chosen so that every pair the full scan
+// could accept shares one - the comparison itself is unchanged, so results are too.
+
+// Block keys for a row, or null when the row has to be compared with everything.
+//   valueOf(idx)  - the value the comparison sees for mapped pair idx
+//   invoiceValue  - the value handed to compareInvoiceNumbers
+//   rules         - the row's invoice number rules
+//   keys          - indexes of the identifying roles (all must agree for a partial match)
+//   invoiceIdx    - index of the invoiceNumber role, or -1
+//   compared      - indexes taking part in matching
+//   minAgreeing   - fields that must agree when no identifying role is mapped
+export function partialBlockKeys(valueOf, invoiceValue, rules, { keys, invoiceIdx, compared, minAgreeing }) {
+  if (keys.length > 0) {
+    // Every identifying role must agree, so combine one key per role
+    return keys.reduce((combined, idx) => {
+      const options = idx === invoiceIdx ? invoiceBlockKeys(invoiceValue, valueOf(idx), rules) : [`=${valueOf(idx)}`];
+      return combined.flatMap(prefix => options.map(option => `${prefix}\u0001${option}`));
+    }, ['']);
+  }
+
+  // Otherwise a candidate shares the value of at least one compared field
+  if (minAgreeing < 1) return null;
+  return compared.map(idx => `${idx}\u0001${valueOf(idx)}`);
+}
+
+// Invoice numbers agree when any normalization level gives the same non-empty key,
+// or when the compared values are identical (two blanks)
+function invoiceBlockKeys(invoiceValue, comparedValue, rules) {
+  const keys = invoiceNumberKeys(invoiceValue, rules)
+    .filter(({ key }) => key !== '')
+    .map(({ level, key }) => `${level}:${key}`);
+  keys.push(`=${comparedValue}`);
+  return keys;
+}
+
+export function buildBlockIndex(rows, blockKeysOf) {
+  const index = new Map();
+  const unblocked = [];
+  rows.forEach((row, position) => {
+    const keys = blockKeysOf(row, position);
+    if (keys === null) {
+      unblocked.push(position);
+      return;
+    }
+    new Set(keys).forEach(key => {
+      if (!index.has(key)) index.set(key, []);
+      index.get(key).push(position);
+    });
+  });
+  return { index, unblocked, size: rows.length };
+}
+
+// Positions of the candidate rows for the given block keys, in their original order
+export function candidatePositions(blockIndex, keys) {
+  if (keys === null) {
+    return Array.from({ length: blockIndex.size }, (_, position) => position);
+  }
+  const positions = new Set(blockIndex.unblocked);
+  keys.forEach(key => {
+    (blockIndex.index.get(key) || []).forEach(position => positions.add(position));
+  });
+  return Array.from(positions).sort((a, b) => a - b);
+}
+
+// Block keys for fuzzy invoice matching: the supplier with the invoice number and each
+// variant of it with one character deleted. Two numbers within one edit (a substitution,
+// insertion or deletion) always share one of these, so only those pairs need editDistance.
+export function fuzzyBlockKeys(supplier, invoice) {
+  const variants = new Set([invoice]);
+  for (let i = 0; i < invoice.length; i++) {
+    variants.add(invoice.slice(0, i) + invoice.slice(i + 1));
+  }
+  return Array.from(variants, variant => `${supplier}\u0001${variant}`);
+}
@@ -0,0 +1,174 @@
+import { ROLE_TAX_HEADS } from './columnRoles.js';
+import { canonicalizeInvoiceNumber } from './invoiceNumber.js';
+import { documentTypeOf } from './documents.js';
+import { parseDateValue, parseSignedAmount } from './tolerance.js';
+
+// Cross-period carry-forward. What a run leaves unmatched goes into the open_items ledger
+// for the taxpayer GSTIN; later runs for the same GSTIN pull the open items back in as
+// extra rows, so a March purchase booked in Tally can meet the supplier's April 2B row.
+// Matches that use a carried item are timing differences. Items are stored keyed by
+// column role, so they survive a change of column mapping between runs.
+
+// Heads that make up input tax credit
+const ITC_ROLES = ['igst', 'cgst', 'sgst', 'cess'];
+
+// Return periods as YYYY-MM, from "2025-03", "03-2025", "03/2025" or the portal's "032025"
+export function parsePeriod(value) {
+  const str = String(value ?? '').trim();
+  let match = str.match(/^(\d{4})-(\d{1,2})$/);
+  let year;
+  let month;
+  if (match) {
+    [, year, month] = match;
+  } else if ((match = str.match(/^(\d{1,2})[-/](\d{4})$/)) || (match = str.match(/^(\d{2})(\d{4})$/))) {
+    [, month, year] = match;
+  } else {
+    return null;
+  }
+  const monthNumber = Number(month);
+  if (monthNumber < 1 || monthNumber > 12) return null;
+  return `${year}-${String(monthNumber).padStart(2, '0')}`;
+}
+
+function periodIndex(period) {
+  const [year, month] = period.split('-').map(Number);
+  return year * 12 + month - 1;
+}
+
+function formatDate(date) {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+// A ledger entry for an unmatched row. The key identifies the document on its side within
+// a period, so re-running a period does not add its items twice.
+export function toOpenItem(row, side, columns, roles) {
+  const data = {};
+  roles.forEach((role, idx) => {
+    if (role === 'informational') return;
+    const value = row[columns[idx]] ?? null;
+    data[role] = value instanceof Date ? formatDate(value) : value;
+  });
+
+  const supplierGstin = String(data.supplierGstin ?? '').trim().toUpperCase();
+  const invoiceNumber = String(data.invoiceNumber ?? '').trim();
+  const date = parseDateValue(data.invoiceDate);
+  const documentType = documentTypeOf(row);
+  const itcAmount = ITC_ROLES.reduce((sum, role) => sum + parseSignedAmount(data[role]), 0);
+  const amountKey = Object.keys(ROLE_TAX_HEADS).map(role => parseSignedAmount(data[role]).toFixed(2)).join('/');
+
+  return {
+    side,
+    itemKey: [supplierGstin, canonicalizeInvoiceNumber(invoiceNumber) || amountKey, documentType, date ? formatDate(date) : ''].join('|'),
+    supplierGstin,
+    invoiceNumber,
+    invoiceDate: date ? formatDate(date) : null,
+    documentType,
+    itcAmount: Math.round(itcAmount * 100) / 100,
+    data
+  };
+}
+
+// A ledger item as a row for this run's columns, remembering where it came from
+export function rowFromOpenItem(item, columns, roles) {
+  const row = {};
+  roles.forEach((role, idx) => {
+    row[columns[idx]] = item.data?.[role] ?? null;
+  });
+  if (item.document_type && item.document_type !== 'invoice') {
+    row._documentType = item.document_type;
+  }
+  row._carriedForward = { openItemId: item.id, period: item.first_period };
+  return row;
+}
+
+// The carried rows a match used, or null when it is a same-period match
+export function timingDifferenceOf(entry, period) {
+  const rows = [...[].concat(entry.gst || []), ...[].concat(entry.tally || [])];
+  const carried = rows.filter(row => row && row._carriedForward);
+  if (carried.length === 0) return null;
+
+  const fromPeriod = carried.map(row => row._carriedForward.period).sort()[0];
+  return {
+    carriedSides: ['gst', 'tally'].filter(side => [].concat(entry[side] || []).some(row => row && row._carriedForward)),
+    fromPeriod,
+    toPeriod: period || null,
+    periods: period && fromPeriod ? periodIndex(period) - periodIndex(fromPeriod) : null
+  };
+}
+
+// How long an item has been outstanding: days since its invoice date (or since it was
+// first left open), and return periods since the one it first appeared in
+export function ageOf(item, asOfPeriod, today = new Date()) {
+  const since = parseDateValue(item.invoice_date) || (item.created_at ? new Date(item.created_at) : null);
+  const days = since ? Math.max(0, Math.floor((today - since) / 86400000)) : null;
+  let bucket = null;
+  if (days !== null) {
+    if (days <= 30) bucket = '0-30';
+    else if (days <= 60) bucket = '31-60';
+    else if (days <= 90) bucket = '61-90';
+    else bucket = '90+';
+  }
+  return {
+    days,
+    bucket,
+    periods: asOfPeriod && item.first_period ? Math.max(0, periodIndex(asOfPeriod) - periodIndex(item.first_period)) : null
+  };
+}
+
+// Open items from earlier periods, plus the ones an earlier run of this same period matched
+// (so re-running a period can match them again)
+export async function loadOpenItems(db, gstin, period) {
+  const result = await db.query(
+    `SELECT * FROM open_items
+     WHERE gstin = $1 AND ((status = 'open' AND first_period < $2) OR (status = 'matched' AND matched_period = $2))
+     ORDER BY first_period, id`,
+    [gstin, period]
+  );
+  return {
+    gst: result.rows.filter(item => item.side === 'gst'),
+    tally: result.rows.filter(item => item.side === 'tally')
+  };
+}
+
+// Record a run in the ledger: carried items it matched are closed, carried items it did not
+// are (re)opened, and this period's unmatched rows replace whatever an earlier run of the
+// period left open. Run inside a transaction.
+export async function updateOpenItems(db, { gstin, period, results, columns, roles }) {
+  const matchedIds = results.carriedForward.matchedIds;
+  const pulledIds = results.carriedForward.pulledIds;
+  const stillOpen = pulledIds.filter(id => !matchedIds.includes(id));
+
+  if (matchedIds.length > 0) {
+    await db.query(
+      `UPDATE open_items SET status = 'matched', matched_period = $2, matched_at = NOW(), updated_at = NOW()
+       WHERE id = ANY($1::int[])`,
+      [matchedIds, period]
+    );
+  }
+  if (stillOpen.length > 0) {
+    await db.query(
+      `UPDATE open_items SET status = 'open', matched_period = NULL, matched_at = NULL, updated_at = NOW()
+       WHERE id = ANY($1::int[])`,
+      [stillOpen]
+    );
+  }
+
+  await db.query(`DELETE FROM open_items WHERE gstin = $1 AND first_period = $2 AND status = 'open'`, [gstin, period]);
+
+  const items = [
+    ...results.gstOnly.map(row => toOpenItem(row, 'gst', columns.gst, roles)),
+    ...results.tallyOnly.map(row => toOpenItem(row, 'tally', columns.tally, roles))
+  ];
+  let opened = 0;
+  for (const item of items) {
+    const inserted = await db.query(
+      `INSERT INTO open_items (gstin, side, item_key, supplier_gstin, invoice_number, invoice_date, document_type, itc_amount, data, first_period)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+       ON CONFLICT (gstin, side, item_key, first_period) DO NOTHING`,
+      [gstin, item.side, item.itemKey, item.supplierGstin, item.invoiceNumber, item.invoiceDate, item.documentType, item.itcAmount, JSON.stringify(item.data), period]
+    );
+    opened += inserted.rowCount;
+  }
+
+  return { closed: matchedIds.length, reopened: stillOpen.length, opened };
+}
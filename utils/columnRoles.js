@@ -0,0 +1,132 @@
+import { isInvoiceNumberColumn } from './invoiceNumber.js';
+import { parseAmount, taxHeadForColumn } from './tolerance.js';
+import { placeOfSupplyCode } from './taxHeads.js';
+
+// What each mapped GST/Tally column pair means. Matching keys, discrepancy
+// classification and the minor/major split are driven by these roles rather than by
+// where a pair sits in the mapping or what its columns are called.
+export const COLUMN_ROLES = [
+  'supplierGstin',
+  'supplierName',
+  'invoiceNumber',
+  'invoiceDate',
+  'taxableValue',
+  'igst',
+  'cgst',
+  'sgst',
+  'cess',
+  'taxRate',
+  'placeOfSupply',
+  'documentType',
+  'originalInvoiceNumber',
+  'itcAvailability',
+  'reverseCharge',
+  'informational'
+];
+
+// Roles that identify an invoice; partial matches and missing-record joins are keyed on them
+export const KEY_ROLES = ['supplierGstin', 'invoiceNumber'];
+
+// Roles carried for other steps but never compared pair-wise: a Tally party name is not
+// expected to read like the 2B trade name (supplier resolution uses it instead), note
+// types and references are read by documents.js, rates by the arithmetic check (an
+// invoice aggregated from lines of several rates has no single rate to compare), and the
+// 2B ITC flags by the ITC summary (the books have no equivalent)
+const UNCOMPARED_ROLES = [
+  'informational',
+  'supplierName',
+  'documentType',
+  'originalInvoiceNumber',
+  'taxRate',
+  'itcAvailability',
+  'reverseCharge'
+];
+
+// Monetary roles and the tolerance-profile tax head each one uses
+export const ROLE_TAX_HEADS = {
+  taxableValue: 'taxable_value',
+  igst: 'igst',
+  cgst: 'cgst',
+  sgst: 'sgst',
+  cess: 'cess'
+};
+
+const TAX_HEAD_ROLES = Object.fromEntries(Object.entries(ROLE_TAX_HEADS).map(([role, head]) => [head, role]));
+
+function lastHeaderPart(name) {
+  return String(name || '').split('›').pop().toLowerCase().trim();
+}
+
+function inferFromName(name) {
+  if (!name) return null;
+  if (/gstin/i.test(name)) return 'supplierGstin';
+  const last = lastHeaderPart(name);
+  if (/(original|orig\b|against).*(invoice|inv|bill|ref|no)/.test(last)) return 'originalInvoiceNumber';
+  if (isInvoiceNumberColumn(name)) return 'invoiceNumber';
+  if (/(document|doc|note|voucher) ?type|^type$/.test(last)) return 'documentType';
+  if (last === 'invoice date' || last === 'date' || last === 'voucher date') return 'invoiceDate';
+  if (/place of supply|^pos$/.test(last)) return 'placeOfSupply';
+  if (/itc avail|availability|eligib/.test(last)) return 'itcAvailability';
+  if (/reverse ?charge|\brcm\b/.test(last)) return 'reverseCharge';
+  if (/\brate\b/.test(last)) return 'taxRate';
+  if (/(trade|legal|party|supplier|vendor)\b.*\bname|name of (the )?supplier|^party$/.test(last)) return 'supplierName';
+  const head = taxHeadForColumn(last);
+  return head ? TAX_HEAD_ROLES[head] : null;
+}
+
+// Best guess for a mapped pair from its header names; used when the user has not tagged it
+export function inferColumnRole(gstColumn, tallyColumn) {
+  return inferFromName(gstColumn) || inferFromName(tallyColumn) || 'informational';
+}
+
+// Roles for every mapped pair: the user's tags where given, inferred otherwise.
+// Throws on an unknown role or when a non-informational role is used twice.
+export function resolveColumnRoles(gstColumns, tallyColumns, roles = []) {
+  const resolved = gstColumns.map((gstCol, idx) => {
+    const role = Array.isArray(roles) ? roles[idx] : undefined;
+    if (role === undefined || role === null || role === '') {
+      return inferColumnRole(gstCol, tallyColumns[idx]);
+    }
+    if (!COLUMN_ROLES.includes(role)) {
+      throw new Error(`Unknown column role: ${role}. Expected one of ${COLUMN_ROLES.join(', ')}`);
+    }
+    return role;
+  });
+
+  // An inferred role loses to an explicit tag for the same role
+  const seen = new Map();
+  resolved.forEach((role, idx) => {
+    if (role === 'informational') return;
+    const explicit = Array.isArray(roles) && roles[idx] === role;
+    const previous = seen.get(role);
+    if (previous === undefined) {
+      seen.set(role, { idx, explicit });
+    } else if (previous.explicit && explicit) {
+      throw new Error(`Column role ${role} is assigned to more than one mapped pair`);
+    } else if (explicit) {
+      resolved[previous.idx] = 'informational';
+      seen.set(role, { idx, explicit });
+    } else {
+      resolved[idx] = 'informational';
+    }
+  });
+
+  return resolved;
+}
+
+// Indexes of the mapped pairs that take part in matching
+export function matchingIndexes(roles) {
+  return roles.map((role, idx) => (UNCOMPARED_ROLES.includes(role) ? -1 : idx)).filter(idx => idx >= 0);
+}
+
+export function keyIndexes(roles) {
+  return KEY_ROLES.map(role => roles.indexOf(role)).filter(idx => idx >= 0);
+}
+
+// Value used when comparing a pair: amounts compare numerically ("118" = "118.00"), places of
+// supply by state code ("27-Maharashtra" = "27"), the rest as trimmed text
+export function comparableValue(value, role) {
+  if (ROLE_TAX_HEADS[role]) return parseAmount(value).toFixed(2);
+  if (role === 'placeOfSupply') return placeOfSupplyCode(value) || String(value || '').trim();
+  return String(value || '').trim();
+}
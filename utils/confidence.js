@@ -0,0 +1,194 @@
+import { ROLE_TAX_HEADS } from './columnRoles.js';
+import { amountWithinTolerance, dateDifferenceDays, parseAmount } from './tolerance.js';
+
+// Confidence (0-100) for a pairing, weighted by which roles agreed and by how much the
+// others differ, plus a structured explanation a reviewer can read at a glance:
+// "GSTIN exact, invoice no. matched after stripping FY suffix, date +3 days, IGST differs by ₹0.40"
+
+const ROLE_WEIGHTS = {
+  supplierGstin: 25,
+  invoiceNumber: 25,
+  invoiceDate: 10,
+  taxableValue: 15,
+  igst: 8,
+  cgst: 8,
+  sgst: 8,
+  cess: 3,
+  placeOfSupply: 3
+};
+
+const ROLE_LABELS = {
+  supplierGstin: 'GSTIN',
+  invoiceNumber: 'invoice no.',
+  invoiceDate: 'date',
+  taxableValue: 'taxable value',
+  igst: 'IGST',
+  cgst: 'CGST',
+  sgst: 'SGST',
+  cess: 'cess',
+  placeOfSupply: 'place of supply'
+};
+
+// How much an invoice number match under each normalization is worth, and how it reads
+const NORMALIZATION_SCORES = {
+  exact: { factor: 1, detail: 'exact' },
+  separators: { factor: 0.95, detail: 'matched ignoring separators' },
+  financial_year: { factor: 0.9, detail: 'matched after stripping FY suffix' },
+  prefix: { factor: 0.85, detail: 'matched after stripping prefix' },
+  leading_zeros: { factor: 0.8, detail: 'matched ignoring leading zeros' }
+};
+
+// A Tally GSTIN filled in by supplier resolution agrees only as far as the resolution is trusted
+const SUPPLIER_RESOLUTION_SCORES = {
+  alias: { factor: 0.95, detail: 'resolved from saved alias' },
+  gstin_edit: { factor: 0.9, detail: 'resolved from a GSTIN one character off' },
+  name: { factor: 0.8, detail: 'resolved from party name' }
+};
+
+function formatRupees(amount) {
+  return `₹${Math.abs(amount).toFixed(2)}`;
+}
+
+function amountItem(role, disc, profile) {
+  const head = ROLE_TAX_HEADS[role];
+  const gstNum = parseAmount(disc.gstValue);
+  const tallyNum = parseAmount(disc.tallyValue);
+  const diff = gstNum - tallyNum;
+  if (Math.abs(diff) < 0.005) {
+    return { status: 'exact', factor: 1, detail: 'exact' };
+  }
+  if (amountWithinTolerance(head, gstNum, tallyNum, profile)) {
+    return { status: 'within_tolerance', factor: 0.9, detail: `differs by ${formatRupees(diff)}` };
+  }
+  const relative = Math.abs(diff) / Math.max(Math.abs(gstNum), Math.abs(tallyNum), 1);
+  return { status: 'differs', factor: Math.max(0, 1 - relative * 5) * 0.5, detail: `differs by ${formatRupees(diff)}` };
+}
+
+function dateItem(disc, gstRow, tallyRow, profile) {
+  const days = dateDifferenceDays(gstRow[disc.gstColumn], tallyRow[disc.tallyColumn]);
+  if (days === null) {
+    return { status: 'differs', factor: 0, detail: 'differs' };
+  }
+  const detail = `${days > 0 ? '+' : ''}${days} day${Math.abs(days) === 1 ? '' : 's'}`;
+  if (Math.abs(days) <= profile.dateWindowDays) {
+    return { status: 'within_tolerance', factor: 1 - 0.5 * Math.abs(days) / (profile.dateWindowDays + 1), detail };
+  }
+  return { status: 'differs', factor: Math.max(0, 1 - Math.abs(days) / 30) * 0.4, detail };
+}
+
+function invoiceItem(normalization, disc, similarInvoice) {
+  if (!disc && normalization) {
+    const { factor, detail } = NORMALIZATION_SCORES[normalization] || NORMALIZATION_SCORES.exact;
+    return { status: normalization === 'exact' ? 'exact' : 'normalized', factor, detail };
+  }
+  if (!disc) {
+    return { status: 'exact', factor: 1, detail: 'exact' };
+  }
+  if (similarInvoice) {
+    return { status: 'similar', factor: 0.4, detail: `similar (${disc.gstValue} vs ${disc.tallyValue})` };
+  }
+  return { status: 'differs', factor: 0, detail: 'differs' };
+}
+
+function summarize(items) {
+  return items.map(item => `${ROLE_LABELS[item.role]} ${item.detail}`).join(', ');
+}
+
+// Score one GST/Tally pairing. ctx: { roles, compared, profile }; discrepancyColumns and
+// normalization come from the engine's row comparison; options.similarInvoice marks a
+// fuzzy invoice number match.
+export function scorePairing(ctx, gstRow, tallyRow, discrepancyColumns, normalization, options = {}) {
+  const byIndex = new Map(discrepancyColumns.map(disc => [disc.columnIndex, disc]));
+  let weighted = 0;
+  let totalWeight = 0;
+  const items = [];
+
+  ctx.compared.forEach(idx => {
+    const role = ctx.roles[idx];
+    const weight = ROLE_WEIGHTS[role];
+    if (!weight) return;
+    const disc = byIndex.get(idx);
+
+    let item;
+    if (role === 'invoiceNumber') {
+      item = invoiceItem(normalization, disc, options.similarInvoice);
+    } else if (role === 'supplierGstin' && disc && disc.reason === 'invalid_gstin') {
+      const sides = ['gst', 'tally'].filter(side => disc.gstinErrors[side].length > 0);
+      item = { status: 'invalid', factor: 0.5, detail: `invalid in ${sides.map(side => (side === 'gst' ? 'GSTR-2B' : 'Tally')).join(' and ')}` };
+    } else if (role === 'supplierGstin' && !disc && tallyRow._supplierResolution) {
+      const { factor, detail } = SUPPLIER_RESOLUTION_SCORES[tallyRow._supplierResolution.method];
+      item = { status: 'resolved', factor, detail };
+    } else if (!disc) {
+      item = { status: 'exact', factor: 1, detail: 'exact' };
+    } else if (disc.reason === 'tax_head_split') {
+      item = { status: 'tax_head_split', factor: 0.6, detail: `differs by ${formatRupees(parseAmount(disc.gstValue) - parseAmount(disc.tallyValue))} (wrong tax type, total tax agrees)` };
+    } else if (ROLE_TAX_HEADS[role]) {
+      item = amountItem(role, disc, ctx.profile);
+    } else if (role === 'invoiceDate') {
+      item = dateItem(disc, gstRow, tallyRow, ctx.profile);
+    } else {
+      item = { status: 'differs', factor: 0, detail: 'differs' };
+    }
+
+    weighted += weight * item.factor;
+    totalWeight += weight;
+    items.push({ role, status: item.status, detail: item.detail });
+  });
+
+  const confidence = totalWeight > 0 ? Math.round((weighted / totalWeight) * 100) : 0;
+  return { confidence, explanation: { items, text: summarize(items) } };
+}
+
+// Grouped matches have no pair-wise identity to compare: score the supplier and how
+// closely each monetary total agrees, discounted because invoice numbers do not line up
+export function scoreGroup(group, profile) {
+  const items = [{ role: 'supplierGstin', status: 'exact', detail: 'exact' }];
+  let weighted = ROLE_WEIGHTS.supplierGstin;
+  let totalWeight = ROLE_WEIGHTS.supplierGstin;
+
+  Object.keys(group.gstTotals).forEach(role => {
+    const item = amountItem(role, { gstValue: group.gstTotals[role], tallyValue: group.tallyTotals[role] }, profile);
+    weighted += ROLE_WEIGHTS[role] * item.factor;
+    totalWeight += ROLE_WEIGHTS[role];
+    items.push({ role, status: item.status, detail: `total ${item.detail}` });
+  });
+
+  items.push({ role: 'invoiceNumber', status: 'grouped', detail: `${group.gst.length} GST row(s) against ${group.tally.length} Tally row(s)` });
+  const confidence = Math.round((weighted / totalWeight) * 100 * 0.8);
+  return { confidence, explanation: { items, text: summarize(items) } };
+}
+
+// Sorting and filtering by confidence for result lists, from query/body parameters:
+// minConfidence, maxConfidence, sort ('confidence' ascending, '-confidence' descending)
+export function parseConfidenceQuery(params = {}) {
+  const toBound = (value, name) => {
+    if (value === undefined || value === null || value === '') return null;
+    const number = Number(value);
+    if (!Number.isFinite(number) || number < 0 || number > 100) {
+      throw new Error(`${name} must be a number between 0 and 100`);
+    }
+    return number;
+  };
+  const sort = params.sort || params.sortBy;
+  if (sort !== undefined && !['confidence', '-confidence'].includes(sort)) {
+    throw new Error("sort must be 'confidence' (ascending) or '-confidence' (descending)");
+  }
+  return {
+    min: toBound(params.minConfidence, 'minConfidence'),
+    max: toBound(params.maxConfidence, 'maxConfidence'),
+    sort: sort || null
+  };
+}
+
+export function applyConfidenceQuery(list, query) {
+  if (!Array.isArray(list)) return list;
+  let result = list.filter(entry => {
+    const confidence = entry.confidence ?? 0;
+    return (query.min === null || confidence >= query.min) && (query.max === null || confidence <= query.max);
+  });
+  if (query.sort) {
+    const direction = query.sort === 'confidence' ? 1 : -1;
+    result = [...result].sort((a, b) => direction * ((a.confidence ?? 0) - (b.confidence ?? 0)));
+  }
+  return result;
+}
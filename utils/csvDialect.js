@@ -0,0 +1,163 @@
+import { Transform } from 'stream';
+
+// How much of the file is read to sniff the dialect
+export const SNIFF_BYTES = 64 * 1024;
+
+const DELIMITERS = [',', ';', '\t', '|'];
+const QUOTES = ['"', "'"];
+const SNIFF_LINES = 50;
+
+// Detect the encoding from a byte order mark, else by whether the sample is valid UTF-8.
+// Excel on Windows saves "CSV" as Windows-1252, which is not valid UTF-8 once it has ₹, é etc.
+// truncated: the sample stops before the end of the file (a full SNIFF_BYTES read)
+export function detectEncoding(buffer, truncated = buffer.length >= SNIFF_BYTES) {
+  if (buffer[0] === 0xef && buffer[1] === 0xbb && buffer[2] === 0xbf) {
+    return { encoding: 'utf-8', bom: true };
+  }
+  if (buffer[0] === 0xff && buffer[1] === 0xfe) {
+    return { encoding: 'utf-16le', bom: true };
+  }
+  if (buffer[0] === 0xfe && buffer[1] === 0xff) {
+    return { encoding: 'utf-16be', bom: true };
+  }
+
+  try {
+    // A character cut off where the sample was cut is not an error; at the end of the file it is
+    new TextDecoder('utf-8', { fatal: true }).decode(buffer, { stream: truncated });
+    return { encoding: 'utf-8', bom: false };
+  } catch {
+    return { encoding: 'windows-1252', bom: false };
+  }
+}
+
+// Count delimiter occurrences outside quoted sections
+function countOutsideQuotes(line, delimiter, quote) {
+  let count = 0;
+  let inQuotes = false;
+  for (const char of line) {
+    if (char === quote) {
+      inQuotes = !inQuotes;
+    } else if (char === delimiter && !inQuotes) {
+      count++;
+    }
+  }
+  return count;
+}
+
+function modeOf(values) {
+  const counts = new Map();
+  values.forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+  let mode = 0;
+  let modeCount = 0;
+  counts.forEach((count, value) => {
+    if (count > modeCount || (count === modeCount && value > mode)) {
+      mode = value;
+      modeCount = count;
+    }
+  });
+  return { mode, modeCount };
+}
+
+// A quote character wraps whole fields: it follows a delimiter/line start and precedes a delimiter/line end
+function detectQuote(lines, delimiter) {
+  const escaped = delimiter === '|' ? '\\|' : delimiter === '\t' ? '\\t' : delimiter;
+  let best = '"';
+  let bestHits = 0;
+  QUOTES.forEach(quote => {
+    const pattern = new RegExp(`(^|${escaped})${quote}[^${quote}]*${quote}(?=${escaped}|$)`, 'g');
+    const hits = lines.reduce((sum, line) => sum + (line.match(pattern) || []).length, 0);
+    if (hits > bestHits) {
+      best = quote;
+      bestHits = hits;
+    }
+  });
+  return best;
+}
+
+// Sniff delimiter, quote character and leading junk rows (report titles, date ranges)
+// from decoded text. The table is where lines settle on a consistent field count.
+export function detectDialect(text) {
+  const lines = text
+    .split(/\r\n|\n|\r/)
+    .slice(0, SNIFF_LINES);
+  // The sample may end mid-line
+  if (lines.length > 1) lines.pop();
+
+  let best = { delimiter: ',', fields: 1, score: 0 };
+  DELIMITERS.forEach(delimiter => {
+    const counts = lines.filter(line => line.trim() !== '').map(line => countOutsideQuotes(line, delimiter, '"'));
+    const { mode, modeCount } = modeOf(counts);
+    const score = mode > 0 ? modeCount * Math.log2(mode + 1) : 0;
+    if (score > best.score) {
+      best = { delimiter, fields: mode + 1, score };
+    }
+  });
+
+  const quote = detectQuote(lines, best.delimiter);
+
+  // Leading lines that do not have the table's field count are preamble
+  let skipRows = 0;
+  if (best.fields > 1) {
+    const firstTableLine = lines.findIndex(line =>
+      countOutsideQuotes(line, best.delimiter, quote) + 1 === best.fields
+    );
+    skipRows = Math.max(0, firstTableLine);
+  }
+
+  return { delimiter: best.delimiter, quote, skipRows };
+}
+
+export function sniffDialect(buffer) {
+  const { encoding, bom } = detectEncoding(buffer);
+  const text = new TextDecoder(encoding).decode(buffer, { stream: true });
+  return { encoding, bom, ...detectDialect(text) };
+}
+
+// Transform stream decoding bytes in the given encoding to UTF-8 text for the CSV parser
+export function createDecoderStream(encoding) {
+  const decoder = new TextDecoder(encoding);
+  return new Transform({
+    transform(chunk, _encoding, callback) {
+      callback(null, decoder.decode(chunk, { stream: true }));
+    },
+    flush(callback) {
+      callback(null, decoder.decode());
+    }
+  });
+}
+
+// Merge user corrections over the sniffed dialect; unknown values are rejected
+export function resolveDialect(sniffed, overrides = {}) {
+  const dialect = { ...sniffed };
+
+  if (overrides.encoding) {
+    try {
+      new TextDecoder(overrides.encoding);
+    } catch {
+      throw new Error(`Unsupported encoding: ${overrides.encoding}`);
+    }
+    dialect.encoding = overrides.encoding;
+  }
+  if (overrides.delimiter) {
+    const delimiter = overrides.delimiter === '\\t' || overrides.delimiter === 'tab' ? '\t' : overrides.delimiter;
+    if (delimiter.length !== 1) {
+      throw new Error(`Delimiter must be a single character: ${overrides.delimiter}`);
+    }
+    dialect.delimiter = delimiter;
+  }
+  if (overrides.quote) {
+    if (String(overrides.quote).length !== 1) {
+      throw new Error(`Quote must be a single character: ${overrides.quote}`);
+    }
+    dialect.quote = overrides.quote;
+  }
+  if (overrides.skipRows !== undefined && overrides.skipRows !== null && overrides.skipRows !== '') {
+    const skipRows = Number(overrides.skipRows);
+    if (!Number.isInteger(skipRows) || skipRows < 0) {
+      throw new Error(`skipRows must be a non-negative integer: ${overrides.skipRows}`);
+    }
+    dialect.skipRows = skipRows;
+  }
+
+  return dialect;
+}
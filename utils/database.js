@@ -1,15 +1,47 @@
+import { DEFAULT_TOLERANCE_PROFILE } from './tolerance.js';
+
 export async function initializeDatabase(pool) {
   try {
     // Create uploads table
     await pool.query(`
       CREATE TABLE IF NOT EXISTS uploads (
         id SERIAL PRIMARY KEY,
-        gst_data JSONB NOT NULL,
-        tally_data JSONB NOT NULL,
+        gst_data JSONB,
+        tally_data JSONB,
+        gst_header_row INTEGER,
+        tally_header_row INTEGER,
+        gst_columns TEXT[],
+        tally_columns TEXT[],
+        gst_row_count INTEGER DEFAULT 0,
+        tally_row_count INTEGER DEFAULT 0,
         created_at TIMESTAMP DEFAULT NOW()
       )
     `);
 
+    // Header rows are detected at upload time; add the columns to existing databases
+    await pool.query('ALTER TABLE uploads ADD COLUMN IF NOT EXISTS gst_header_row INTEGER');
+    await pool.query('ALTER TABLE uploads ADD COLUMN IF NOT EXISTS tally_header_row INTEGER');
+
+    // Rows now live in upload_rows; the JSONB blobs are only kept for older uploads
+    await pool.query('ALTER TABLE uploads ALTER COLUMN gst_data DROP NOT NULL');
+    await pool.query('ALTER TABLE uploads ALTER COLUMN tally_data DROP NOT NULL');
+    await pool.query('ALTER TABLE uploads ADD COLUMN IF NOT EXISTS gst_columns TEXT[]');
+    await pool.query('ALTER TABLE uploads ADD COLUMN IF NOT EXISTS tally_columns TEXT[]');
+    await pool.query('ALTER TABLE uploads ADD COLUMN IF NOT EXISTS gst_row_count INTEGER DEFAULT 0');
+    await pool.query('ALTER TABLE uploads ADD COLUMN IF NOT EXISTS tally_row_count INTEGER DEFAULT 0');
+
+    // Create upload_rows table - one row per parsed record, loaded in batches
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS upload_rows (
+        id BIGSERIAL PRIMARY KEY,
+        upload_id INTEGER REFERENCES uploads(id) ON DELETE CASCADE,
+        side TEXT NOT NULL,
+        row_num INTEGER NOT NULL,
+        data JSONB NOT NULL
+      )
+    `);
+    await pool.query('CREATE INDEX IF NOT EXISTS upload_rows_upload_side_idx ON upload_rows (upload_id, side, row_num)');
+
     // Create reconciliation_results table
     await pool.query(`
       CREATE TABLE IF NOT EXISTS reconciliation_results (
@@ -17,6 +49,10 @@ export async function initializeDatabase(pool) {
         upload_id INTEGER REFERENCES uploads(id),
         exact_matches JSONB DEFAULT '[]',
         partial_matches JSONB DEFAULT '[]',
+        group_matches JSONB DEFAULT '[]',
+        document_notes JSONB DEFAULT '{}',
+        duplicates JSONB DEFAULT '[]',
+        row_checks JSONB DEFAULT '{}',
         tally_mismatches JSONB DEFAULT '[]',
         gst_mismatches JSONB DEFAULT '[]',
         gst_header_row INTEGER DEFAULT 1,
@@ -32,6 +68,7 @@ export async function initializeDatabase(pool) {
         reconciliation_id INTEGER REFERENCES reconciliation_results(id),
         gst_columns TEXT[] NOT NULL,
         tally_columns TEXT[] NOT NULL,
+        column_roles TEXT[],
         created_at TIMESTAMP DEFAULT NOW()
       )
     `);
@@ -47,13 +84,207 @@ export async function initializeDatabase(pool) {
         tally_header_row INTEGER DEFAULT 1,
         gst_table_name TEXT NOT NULL,
         tally_table_name TEXT NOT NULL,
+        column_roles TEXT[],
         created_at TIMESTAMP DEFAULT NOW()
       )
     `);
 
+    await pool.query(`ALTER TABLE reconciliation_results ADD COLUMN IF NOT EXISTS group_matches JSONB DEFAULT '[]'`);
+    // Credit/debit note links to original invoices and the net ITC (see documents.js)
+    await pool.query(`ALTER TABLE reconciliation_results ADD COLUMN IF NOT EXISTS document_notes JSONB DEFAULT '{}'`);
+    // Duplicate entries set aside before matching (see duplicates.js)
+    await pool.query(`ALTER TABLE reconciliation_results ADD COLUMN IF NOT EXISTS duplicates JSONB DEFAULT '[]'`);
+    // Row-level findings such as wrong tax heads, keyed by check
+    await pool.query(`ALTER TABLE reconciliation_results ADD COLUMN IF NOT EXISTS row_checks JSONB DEFAULT '{}'`);
+
+    // Role of each mapped pair (supplierGstin, invoiceNumber, ... - see columnRoles.js)
+    await pool.query('ALTER TABLE column_mappings ADD COLUMN IF NOT EXISTS column_roles TEXT[]');
+    await pool.query('ALTER TABLE mapping_logs ADD COLUMN IF NOT EXISTS column_roles TEXT[]');
+
+    // Create invoice_number_rules table - per-supplier invoice number canonicalization settings
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS invoice_number_rules (
+        id SERIAL PRIMARY KEY,
+        supplier_gstin TEXT UNIQUE NOT NULL,
+        strip_prefixes TEXT[] DEFAULT '{}',
+        strip_suffixes TEXT[] DEFAULT '{}',
+        strip_pattern TEXT,
+        ignore_financial_year BOOLEAN DEFAULT TRUE,
+        ignore_leading_zeros BOOLEAN DEFAULT TRUE,
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW()
+      )
+    `);
+
+    // Create supplier_aliases table - Tally party name / booked GSTIN -> the 2B supplier GSTIN it stands for
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS supplier_aliases (
+        id SERIAL PRIMARY KEY,
+        party_key TEXT NOT NULL DEFAULT '',
+        party_name TEXT NOT NULL DEFAULT '',
+        booked_gstin TEXT NOT NULL DEFAULT '',
+        gstin TEXT NOT NULL,
+        method TEXT NOT NULL DEFAULT 'manual',
+        score NUMERIC,
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW(),
+        UNIQUE (party_key, booked_gstin)
+      )
+    `);
+
+    // Create open_items table - unmatched rows carried forward to later runs for the same taxpayer GSTIN
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS open_items (
+        id SERIAL PRIMARY KEY,
+        gstin TEXT NOT NULL,
+        side TEXT NOT NULL,
+        item_key TEXT NOT NULL,
+        supplier_gstin TEXT,
+        invoice_number TEXT,
+        invoice_date TEXT,
+        document_type TEXT DEFAULT 'invoice',
+        itc_amount NUMERIC DEFAULT 0,
+        data JSONB NOT NULL,
+        first_period TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'open',
+        matched_period TEXT,
+        matched_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW(),
+        UNIQUE (gstin, side, item_key, first_period)
+      )
+    `);
+    await pool.query('CREATE INDEX IF NOT EXISTS open_items_gstin_status_idx ON open_items (gstin, status, first_period)');
+
+    // Create match_overrides table - reviewers' manual links and unlinks, per log or remembered as rules
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS match_overrides (
+        id SERIAL PRIMARY KEY,
+        log_id INTEGER,
+        action TEXT NOT NULL,
+        scope TEXT NOT NULL DEFAULT 'log',
+        gst_refs JSONB NOT NULL DEFAULT '[]',
+        tally_refs JSONB NOT NULL DEFAULT '[]',
+        note TEXT,
+        created_by TEXT NOT NULL,
+        created_at TIMESTAMP DEFAULT NOW(),
+        revoked_by TEXT,
+        revoked_at TIMESTAMP
+      )
+    `);
+    await pool.query('CREATE INDEX IF NOT EXISTS match_overrides_log_idx ON match_overrides (log_id, scope) WHERE revoked_at IS NULL');
+
+    // Create tolerance_profiles table - named amount/date tolerances for partial matching
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS tolerance_profiles (
+        id SERIAL PRIMARY KEY,
+        name TEXT UNIQUE NOT NULL,
+        amount_tolerances JSONB NOT NULL DEFAULT '{}',
+        date_window_days INTEGER DEFAULT 0,
+        max_differing_fields INTEGER DEFAULT 3,
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW()
+      )
+    `);
+    await pool.query(
+      `INSERT INTO tolerance_profiles (name, amount_tolerances, date_window_days, max_differing_fields)
+       VALUES ($1, $2, $3, $4) ON CONFLICT (name) DO NOTHING`,
+      [
+        DEFAULT_TOLERANCE_PROFILE.name,
+        JSON.stringify(DEFAULT_TOLERANCE_PROFILE.amountTolerances),
+        DEFAULT_TOLERANCE_PROFILE.dateWindowDays,
+        DEFAULT_TOLERANCE_PROFILE.maxDifferingFields
+      ]
+    );
+
     console.log('Database initialized successfully');
   } catch (error) {
     console.error('Database initialization error:', error);
     throw error;
   }
 }
+
+// Postgres accepts at most 65535 bind parameters per statement
+const MAX_BIND_PARAMS = 65535;
+const DEFAULT_BATCH_SIZE = 1000;
+
+// Insert rows (arrays of values, in column order) with multi-row INSERT statements.
+// tableName and columns must already be sanitized by the caller.
+export async function bulkInsert(db, tableName, columns, rows, batchSize = DEFAULT_BATCH_SIZE) {
+  if (rows.length === 0) return 0;
+
+  const rowsPerStatement = Math.max(1, Math.min(batchSize, Math.floor(MAX_BIND_PARAMS / columns.length)));
+  const columnList = columns.join(', ');
+
+  for (let start = 0; start < rows.length; start += rowsPerStatement) {
+    const batch = rows.slice(start, start + rowsPerStatement);
+    const values = [];
+    const tuples = batch.map(row => {
+      const placeholders = columns.map((_, i) => `$${values.length + i + 1}`);
+      values.push(...row);
+      return `(${placeholders.join(', ')})`;
+    });
+
+    await db.query(`INSERT INTO ${tableName} (${columnList}) VALUES ${tuples.join(', ')}`, values);
+  }
+
+  return rows.length;
+}
+
+// Stream parsed records for one side of an upload into upload_rows in batches.
+// Returns the row count, every column seen, a preview of the first rows and the time spent inserting.
+export async function storeUploadRows(db, uploadId, side, records, batchSize = DEFAULT_BATCH_SIZE) {
+  const columns = new Set();
+  const preview = [];
+  let batch = [];
+  let rowCount = 0;
+  let storeMs = 0;
+
+  const flush = async () => {
+    const started = Date.now();
+    await bulkInsert(db, 'upload_rows', ['upload_id', 'side', 'row_num', 'data'], batch, batchSize);
+    storeMs += Date.now() - started;
+    batch = [];
+  };
+
+  for await (const record of records) {
+    rowCount++;
+    Object.keys(record).forEach(col => columns.add(col));
+    if (preview.length < 5) preview.push(record);
+
+    batch.push([uploadId, side, rowCount, JSON.stringify(record)]);
+    if (batch.length >= batchSize) {
+      await flush();
+    }
+  }
+  if (batch.length > 0) {
+    await flush();
+  }
+
+  return { rowCount, columns: Array.from(columns), preview, storeMs };
+}
+
+// Load one side of an upload in row order. Uploads made before upload_rows existed have
+// no rows there at all and still carry their rows in the uploads JSONB columns.
+export async function loadUploadRows(db, uploadId, side, { offset = 0, limit = null } = {}) {
+  if (side !== 'gst' && side !== 'tally') {
+    throw new Error(`Invalid upload side: ${side}`);
+  }
+
+  const result = await db.query(
+    `SELECT data FROM upload_rows WHERE upload_id = $1 AND side = $2 ORDER BY row_num OFFSET $3${limit ? ' LIMIT $4' : ''}`,
+    limit ? [uploadId, side, offset, limit] : [uploadId, side, offset]
+  );
+  if (result.rows.length > 0) {
+    return result.rows.map(row => row.data);
+  }
+  const stored = await db.query('SELECT 1 FROM upload_rows WHERE upload_id = $1 LIMIT 1', [uploadId]);
+  if (stored.rows.length > 0) {
+    return [];
+  }
+
+  const legacy = await db.query(`SELECT ${side}_data AS data FROM uploads WHERE id = $1`, [uploadId]);
+  const data = legacy.rows[0]?.data;
+  const rows = typeof data === 'string' ? JSON.parse(data) : (data || []);
+  return limit ? rows.slice(offset, offset + limit) : rows.slice(offset);
+}
@@ -0,0 +1,187 @@
+import { ROLE_TAX_HEADS } from './columnRoles.js';
+import { canonicalizeInvoiceNumber, rulesForSupplier } from './invoiceNumber.js';
+import { parseSignedAmount } from './tolerance.js';
+
+// Credit and debit notes. GSTR-2B lists notes with positive values and a note type;
+// Tally books them as negative (or "Cr") entries, often under its own voucher names. Every
+// row is classified and its amounts rewritten as their effect on ITC - credit notes
+// negative - so notes match notes, and each note can be netted against its original invoice.
+
+export const DOCUMENT_TYPES = ['invoice', 'credit_note', 'debit_note'];
+
+// Heads that make up input tax credit
+const ITC_ROLES = ['igst', 'cgst', 'sgst', 'cess'];
+
+function labelType(label) {
+  const text = String(label ?? '').trim().toLowerCase();
+  if (!text) return null;
+  if (/credit|^c$|^cn$|^crn$/.test(text)) return 'credit_note';
+  if (/debit|^d$|^dn$|^drn$/.test(text)) return 'debit_note';
+  if (/note|return|cdn/.test(text)) return 'note';
+  return null;
+}
+
+function primaryIndex(roles) {
+  const taxableIdx = roles.indexOf('taxableValue');
+  if (taxableIdx >= 0) return taxableIdx;
+  return roles.findIndex(role => ROLE_TAX_HEADS[role]);
+}
+
+// The portal labels notes and reports them positive, so the label decides. In the books a
+// negative entry reduces ITC whatever the voucher is called, and so does a positive one labelled
+// as a credit note or as Tally's "Debit Note" voucher (a purchase return). Any other labelled
+// note is an increase; only an unlabelled positive row is an invoice.
+function classify(row, side, ctx) {
+  const label = ctx.typeIdx >= 0 ? labelType(row[ctx.columnNames[ctx.typeIdx]]) : null;
+  const amount = ctx.primaryIdx >= 0 ? parseSignedAmount(row[ctx.columnNames[ctx.primaryIdx]]) : 0;
+
+  if (side === 'gst') {
+    if (label === 'credit_note' || label === 'debit_note') return label;
+    if (amount < 0) return 'credit_note';
+    return label === 'note' ? 'debit_note' : 'invoice';
+  }
+  if (amount < 0 || label === 'credit_note' || label === 'debit_note') return 'credit_note';
+  if (/return/i.test(String(row[ctx.columnNames[ctx.typeIdx]] ?? ''))) return 'credit_note';
+  return label ? 'debit_note' : 'invoice';
+}
+
+// rows are keyed by columnNames, which line up with roles. Notes come back as copies with
+// _documentType set and signed amounts; invoices written with Dr/Cr or brackets come back as
+// copies with plain signed amounts; everything else is returned as it is.
+export function normalizeDocuments(rows, columnNames, roles, side) {
+  const moneyIndexes = roles.map((role, idx) => (ROLE_TAX_HEADS[role] ? idx : -1)).filter(idx => idx >= 0);
+  const ctx = { columnNames, typeIdx: roles.indexOf('documentType'), primaryIdx: primaryIndex(roles) };
+
+  return rows.map(row => {
+    const type = classify(row, side, ctx);
+    const needsSigning = moneyIndexes.some(idx => /cr\.?$|dr\.?$|^\(/i.test(String(row[columnNames[idx]] ?? '').trim()));
+    if (type === 'invoice' && !needsSigning) return row;
+
+    const normalized = { ...row };
+    moneyIndexes.forEach(idx => {
+      const col = columnNames[idx];
+      const amount = parseSignedAmount(row[col]);
+      let signed = amount;
+      if (type === 'credit_note') signed = -Math.abs(amount);
+      if (type === 'debit_note') signed = Math.abs(amount);
+      normalized[col] = String(signed);
+    });
+    if (type !== 'invoice') normalized._documentType = type;
+    return normalized;
+  });
+}
+
+export function documentTypeOf(row) {
+  return (row && row._documentType) || 'invoice';
+}
+
+function itcOf(rows, columnNames, roles) {
+  const total = rows.reduce((sum, row) => sum + ITC_ROLES.reduce((acc, role) => {
+    const idx = roles.indexOf(role);
+    return idx >= 0 ? acc + parseSignedAmount(row[columnNames[idx]]) : acc;
+  }, 0), 0);
+  return Math.round(total * 100) / 100;
+}
+
+function emptyTotals() {
+  return { invoices: 0, creditNotes: 0, debitNotes: 0, net: 0 };
+}
+
+// Link every note to its original invoice (same supplier, same invoice number after
+// canonicalization, looked up on each side) and net the ITC. rows: { gst, tally }, after normalizeDocuments.
+// ctx: { columns: { gst, tally }, roles, invoiceRules }. Needs an originalInvoiceNumber role
+// for links; the ITC totals are reported either way.
+export function linkNotes(rows, ctx) {
+  const { roles } = ctx;
+  const gstinIdx = roles.indexOf('supplierGstin');
+  const invoiceIdx = roles.indexOf('invoiceNumber');
+  const originalIdx = roles.indexOf('originalInvoiceNumber');
+
+  const itc = { gst: emptyTotals(), tally: emptyTotals() };
+  const counts = { creditNotes: { gst: 0, tally: 0 }, debitNotes: { gst: 0, tally: 0 } };
+  const links = new Map();
+  const invoicesBySide = { gst: new Map(), tally: new Map() };
+  let unlinked = 0;
+
+  ['gst', 'tally'].forEach(side => {
+    const columnNames = ctx.columns[side];
+    const supplierOf = row => (gstinIdx >= 0 ? String(row[columnNames[gstinIdx]] ?? '').trim().toUpperCase() : '');
+    const keyOf = (row, idx) => {
+      const supplier = supplierOf(row);
+      const number = canonicalizeInvoiceNumber(row[columnNames[idx]], rulesForSupplier(ctx.invoiceRules, supplier));
+      return number ? `${supplier}\u0001${number}` : null;
+    };
+
+    const invoices = invoicesBySide[side];
+    rows[side].forEach(row => {
+      const type = documentTypeOf(row);
+      const amount = itcOf([row], columnNames, roles);
+      if (type === 'invoice') {
+        itc[side].invoices += amount;
+        if (invoiceIdx >= 0) {
+          const key = keyOf(row, invoiceIdx);
+          if (key && !invoices.has(key)) invoices.set(key, row);
+        }
+      } else {
+        const bucket = type === 'credit_note' ? 'creditNotes' : 'debitNotes';
+        itc[side][bucket] += amount;
+        counts[bucket][side]++;
+      }
+    });
+
+    rows[side].forEach(row => {
+      if (documentTypeOf(row) === 'invoice') return;
+      const key = originalIdx >= 0 ? keyOf(row, originalIdx) : null;
+      if (!key) {
+        unlinked++;
+        return;
+      }
+      if (!links.has(key)) {
+        links.set(key, {
+          supplierGstin: supplierOf(row),
+          originalInvoiceNumber: String(row[columnNames[originalIdx]] ?? '').trim(),
+          invoice: { gst: null, tally: null },
+          notes: { gst: [], tally: [] }
+        });
+      }
+      links.get(key).notes[side].push(row);
+    });
+  });
+
+  links.forEach((link, key) => {
+    link.invoice.gst = invoicesBySide.gst.get(key) || null;
+    link.invoice.tally = invoicesBySide.tally.get(key) || null;
+  });
+
+  ['gst', 'tally'].forEach(side => {
+    Object.keys(itc[side]).forEach(key => {
+      itc[side][key] = Math.round(itc[side][key] * 100) / 100;
+    });
+    itc[side].net = Math.round((itc[side].invoices + itc[side].creditNotes + itc[side].debitNotes) * 100) / 100;
+  });
+
+  const linkList = Array.from(links.values()).map(link => {
+    const effect = {};
+    ['gst', 'tally'].forEach(side => {
+      const columnNames = ctx.columns[side];
+      const invoiceItc = link.invoice[side] ? itcOf([link.invoice[side]], columnNames, roles) : null;
+      const noteItc = itcOf(link.notes[side], columnNames, roles);
+      effect[side] = {
+        invoiceItc,
+        noteItc,
+        netItc: invoiceItc === null ? null : Math.round((invoiceItc + noteItc) * 100) / 100
+      };
+    });
+    return { ...link, itc: effect };
+  });
+
+  return {
+    links: linkList,
+    summary: {
+      ...counts,
+      linked: linkList.length,
+      unlinkedNotes: unlinked,
+      itc
+    }
+  };
+}
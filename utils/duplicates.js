@@ -0,0 +1,90 @@
+import { ROLE_TAX_HEADS } from './columnRoles.js';
+import { canonicalizeInvoiceNumber, compareInvoiceNumbers, invoiceKeyAt, rulesForSupplier } from './invoiceNumber.js';
+import { documentTypeOf } from './documents.js';
+import { parseAmount } from './tolerance.js';
+
+// Duplicate entries within one side: the same purchase booked twice in Tally, or an invoice
+// listed in both B2B and B2BA in 2B. Left in, one copy matches and the other is reported
+// missing. The scan keeps the first copy for matching and sets the others aside.
+//   exact     - every mapped column identical; run on the raw lines, before aggregation would
+//               add the copies together
+//   near      - same supplier, document type and amounts, invoice numbers equal up to
+//               separators and case; run on invoice-level rows
+//   suspected - as near, but the numbers only agree once prefixes, years or leading zeros are
+//               dropped ("INV/12" and "12/24-25" may be two invoices); reported, never set aside
+
+function cellKey(value) {
+  if (value instanceof Date) return value.toISOString();
+  return String(value ?? '').trim().toLowerCase();
+}
+
+function collect(rows, keyOf, kind, side, describe) {
+  const firstByKey = new Map();
+  const bySet = new Map();
+  const kept = [];
+
+  rows.forEach(row => {
+    const key = row._carriedForward ? null : keyOf(row);
+    if (key === null) {
+      kept.push(row);
+      return;
+    }
+    const first = firstByKey.get(key);
+    if (!first) {
+      firstByKey.set(key, row);
+      kept.push(row);
+      return;
+    }
+    if (!bySet.has(first)) bySet.set(first, []);
+    bySet.get(first).push(row);
+  });
+
+  const duplicates = Array.from(bySet.entries()).map(([first, copies]) => ({
+    side,
+    kind,
+    kept: first,
+    duplicates: copies,
+    ...describe(first, copies)
+  }));
+  return { rows: kept, duplicates };
+}
+
+// rows are keyed by columnNames (the mapped pairs)
+export function splitExactDuplicates(rows, columnNames, side) {
+  return collect(
+    rows,
+    row => `${documentTypeOf(row)}\u0001${columnNames.map(col => cellKey(row[col])).join('\u0001')}`,
+    'exact',
+    side,
+    () => ({})
+  );
+}
+
+// Needs supplierGstin and invoiceNumber roles; rows without an invoice number are left alone.
+// Returns { rows, duplicates, suspected }: suspected sets stay in rows.
+export function splitNearDuplicates(rows, columnNames, roles, side, invoiceRules) {
+  const gstinIdx = roles.indexOf('supplierGstin');
+  const invoiceIdx = roles.indexOf('invoiceNumber');
+  if (gstinIdx < 0 || invoiceIdx < 0) return { rows, duplicates: [], suspected: [] };
+
+  const moneyIndexes = roles.map((role, idx) => (ROLE_TAX_HEADS[role] ? idx : -1)).filter(idx => idx >= 0);
+  const supplierOf = row => String(row[columnNames[gstinIdx]] ?? '').trim().toUpperCase();
+  const invoiceOf = row => row[columnNames[invoiceIdx]];
+  const keyOf = invoiceKey => row => {
+    const supplier = supplierOf(row);
+    const invoice = invoiceKey(invoiceOf(row), rulesForSupplier(invoiceRules, supplier));
+    if (!supplier || !invoice) return null;
+    const amounts = moneyIndexes.map(idx => parseAmount(row[columnNames[idx]]).toFixed(2));
+    return [supplier, invoice, documentTypeOf(row), ...amounts].join('\u0001');
+  };
+  const describe = (first, copies) => {
+    const rules = rulesForSupplier(invoiceRules, supplierOf(first));
+    return {
+      normalizations: copies.map(copy => compareInvoiceNumbers(invoiceOf(first), invoiceOf(copy), rules))
+    };
+  };
+
+  const near = collect(rows, keyOf((value, rules) => invoiceKeyAt(value, 'separators', rules)), 'near', side, describe);
+  const suspected = collect(near.rows, keyOf(canonicalizeInvoiceNumber), 'suspected', side, describe);
+  return { rows: near.rows, duplicates: near.duplicates, suspected: suspected.duplicates };
+}
@@ -1,6 +1,19 @@
 import XLSX from 'xlsx';
 import fs from 'fs';
-import { parse } from 'csv-parse/sync';
+import { pipeline } from 'stream';
+import { parse } from 'csv-parse';
+import { XMLParser } from 'fast-xml-parser';
+import {
+  HEADER_SCAN_ROWS,
+  columnsWithData,
+  detectHeaderBand,
+  fillMerges,
+  isBlankRow,
+  matrixToRecords,
+  rowToRecord,
+  widenColumns
+} from './headerDetection.js';
+import { SNIFF_BYTES, createDecoderStream, resolveDialect, sniffDialect } from './csvDialect.js';
 
 // Convert Excel serial number to date string (DD-MM-YYYY)
 function excelSerialToDate(serial) {
@@ -46,63 +59,658 @@ function normalizeValue(value) {
   return strValue;
 }
 
-export function parseExcel(filePath) {
+function normalizeRecord(record) {
+  const normalizedRow = {};
+  Object.keys(record).forEach(col => {
+    normalizedRow[col] = normalizeValue(record[col]);
+  });
+  return normalizedRow;
+}
+
+// Build normalized rows from a matrix: locate the header band (or use the given header row),
+// flatten multi-row headers and give every row every column
+function recordsFromMatrix(matrix, headerRow) {
+  const band = detectHeaderBand(matrix, headerRow);
+  const { columns, records } = matrixToRecords(matrix, band);
+
+  const rows = records.map(normalizeRecord);
+
+  return { rows, headers: columns, headerRow: band.headerRow, headerRows: band.headerRows };
+}
+
+// Read one worksheet; header rows are reported as sheet row numbers (1-based)
+function readSheet(worksheet, headerRow) {
+  if (!worksheet || !worksheet['!ref']) {
+    return { rows: [], headers: [], headerRow: null, headerRows: 0 };
+  }
+
+  const range = XLSX.utils.decode_range(worksheet['!ref']);
+  const matrix = XLSX.utils.sheet_to_json(worksheet, { header: 1, defval: '', blankrows: true });
+
+  // Merge coordinates are absolute; the matrix starts at the top-left of the used range
+  const merges = (worksheet['!merges'] || []).map(merge => ({
+    s: { r: merge.s.r - range.s.r, c: merge.s.c - range.s.c },
+    e: { r: merge.e.r - range.s.r, c: merge.e.c - range.s.c }
+  }));
+  fillMerges(matrix, merges);
+
+  const relativeHeaderRow = Number.isInteger(headerRow) ? headerRow - range.s.r : undefined;
+  const parsed = recordsFromMatrix(matrix, relativeHeaderRow);
+  return { ...parsed, headerRow: parsed.headerRow + range.s.r };
+}
+
+// Resolve the requested sheets: undefined/empty -> first sheet, '*' -> every sheet,
+// otherwise a list of sheet names (or a comma-separated string)
+function selectSheets(sheetNames, requested) {
+  if (requested === undefined || requested === null || requested === '' || (Array.isArray(requested) && requested.length === 0)) {
+    return sheetNames.slice(0, 1);
+  }
+  if (requested === '*') {
+    return sheetNames;
+  }
+
+  const names = Array.isArray(requested) ? requested : String(requested).split(',');
+  return names.map(name => {
+    const trimmed = String(name).trim();
+    const match = sheetNames.find(sheetName => sheetName === trimmed)
+      || sheetNames.find(sheetName => sheetName.toLowerCase() === trimmed.toLowerCase());
+    if (!match) {
+      // The request named the sheet, so this is the client's error (see the upload route)
+      throw Object.assign(new Error(`Sheet "${trimmed}" not found. Available sheets: ${sheetNames.join(', ')}`), { status: 400 });
+    }
+    return match;
+  });
+}
+
+// Parse the selected sheets of a workbook. Every sheet is listed with its row count and
+// headers; when more than one sheet is selected the rows are merged and each row records
+// its sheet of origin in the 'Sheet' column. The header band of each sheet is detected
+// unless options.headerRow overrides it.
+export function parseExcel(filePath, options = {}) {
   try {
     const workbook = XLSX.readFile(filePath);
-    const sheetName = workbook.SheetNames[0];
-    const worksheet = workbook.Sheets[sheetName];
-    
-    // Get raw data with all columns
-    const data = XLSX.utils.sheet_to_json(worksheet, { defval: 0 });
-    
-    // Get all unique column names from all rows
-    const allColumns = new Set();
-    data.forEach(row => {
-      Object.keys(row).forEach(col => allColumns.add(col));
-    });
-    
-    // Normalize all rows to have all columns with normalized values
-    const normalizedData = data.map(row => {
-      const normalizedRow = {};
-      allColumns.forEach(col => {
-        const value = row[col] !== undefined ? row[col] : 0;
-        normalizedRow[col] = normalizeValue(value);
+
+    const parsedSheets = workbook.SheetNames.map(name => ({
+      name,
+      ...readSheet(workbook.Sheets[name], options.headerRow)
+    }));
+    const selectedSheets = selectSheets(workbook.SheetNames, options.sheets);
+    const merge = selectedSheets.length > 1;
+
+    const mergedColumns = new Set(merge ? ['Sheet'] : []);
+    const rows = [];
+    selectedSheets.forEach(name => {
+      const sheet = parsedSheets.find(parsed => parsed.name === name);
+      sheet.headers.forEach(col => mergedColumns.add(col));
+      sheet.rows.forEach(row => {
+        rows.push(merge ? { Sheet: name, ...row } : row);
       });
-      return normalizedRow;
     });
-    
+
+    // Sheets have different columns; give every merged row every column
+    const normalizedData = merge
+      ? rows.map(row => {
+        const normalizedRow = {};
+        mergedColumns.forEach(col => {
+          normalizedRow[col] = row[col] !== undefined ? row[col] : 0;
+        });
+        return normalizedRow;
+      })
+      : rows;
+
     // Clean up file
     fs.unlinkSync(filePath);
-    
-    return normalizedData;
+
+    return {
+      rows: normalizedData,
+      sheets: parsedSheets.map(sheet => ({
+        name: sheet.name,
+        rowCount: sheet.rows.length,
+        headers: sheet.headers,
+        headerRow: sheet.headerRow,
+        headerRows: sheet.headerRows
+      })),
+      selectedSheets,
+      headerRow: parsedSheets.find(sheet => sheet.name === selectedSheets[0])?.headerRow ?? null
+    };
   } catch (error) {
+    if (error.status) throw error;
     throw new Error(`Failed to parse Excel file: ${error.message}`);
   }
 }
 
-export function parseCSV(filePath) {
+async function readSample(filePath) {
+  const handle = await fs.promises.open(filePath, 'r');
   try {
-    const fileContent = fs.readFileSync(filePath, 'utf-8');
-    const data = parse(fileContent, {
-      columns: true,
-      skip_empty_lines: true,
+    const buffer = Buffer.alloc(SNIFF_BYTES);
+    const { bytesRead } = await handle.read(buffer, 0, SNIFF_BYTES, 0);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+}
+
+// Stream a CSV file. The dialect (encoding, delimiter, quote, preamble rows) is sniffed
+// from the start of the file, with options.dialect overriding any part of it. Only the
+// first rows are buffered to find the header band; the returned rows iterator reads the
+// rest of the file as it is consumed and removes the file once it is done. A later row with
+// data in a column the sample left out (wider than the header, or under a blank header cell)
+// adds that column from then on, and headers grows with it; rows before it lack the key.
+export async function parseCSV(filePath, options = {}) {
+  let dialect;
+  try {
+    dialect = resolveDialect(sniffDialect(await readSample(filePath)), options.dialect);
+  } catch (error) {
+    await fs.promises.unlink(filePath).catch(() => {});
+    throw new Error(`Failed to parse CSV file: ${error.message}`);
+  }
+
+  // An explicit header row wins over sniffed preamble rows below it
+  if (options.headerRow && options.headerRow <= dialect.skipRows) {
+    dialect.skipRows = options.headerRow - 1;
+  }
+  const headerRow = options.headerRow ? options.headerRow - dialect.skipRows : undefined;
+
+  // The decoder also drops any byte order mark
+  // pipeline forwards read/decode errors to the parser, which the rows iterator rethrows
+  const parser = pipeline(
+    fs.createReadStream(filePath),
+    createDecoderStream(dialect.encoding),
+    parse({
+      columns: false,
+      delimiter: dialect.delimiter,
+      quote: dialect.quote,
+      from_line: dialect.skipRows + 1,
+      skip_empty_lines: false,
+      relax_column_count: true,
+      relax_quotes: true,
       trim: true
+    }),
+    () => {}
+  );
+  const iterator = parser[Symbol.asyncIterator]();
+  const cleanUp = () => fs.promises.unlink(filePath).catch(() => {});
+
+  try {
+    // Read raw records so report title lines above the header can be detected and skipped
+    const sampleSize = Math.max(HEADER_SCAN_ROWS, headerRow || 0) + 2;
+    const sample = [];
+    while (sample.length < sampleSize) {
+      const { value, done } = await iterator.next();
+      if (done) break;
+      sample.push(value);
+    }
+
+    const band = detectHeaderBand(sample, headerRow);
+    const sampleData = sample.slice(band.dataStartIndex).filter(row => !isBlankRow(row));
+    const columns = columnsWithData(band, sampleData);
+
+    async function* rows() {
+      try {
+        for (const row of sampleData) {
+          yield normalizeRecord(rowToRecord(columns, row));
+        }
+        for (let next = await iterator.next(); !next.done; next = await iterator.next()) {
+          if (!isBlankRow(next.value)) {
+            widenColumns(band, columns, next.value);
+            yield normalizeRecord(rowToRecord(columns, next.value));
+          }
+        }
+      } catch (error) {
+        throw new Error(`Failed to parse CSV file: ${error.message}`);
+      } finally {
+        parser.destroy();
+        await cleanUp();
+      }
+    }
+
+    return {
+      rows: rows(),
+      get headers() {
+        return columns.map(col => col.name);
+      },
+      // Report the header row as a line number in the file
+      headerRow: band.headerRow + dialect.skipRows,
+      dialect
+    };
+  } catch (error) {
+    parser.destroy();
+    await cleanUp();
+    throw new Error(`Failed to parse CSV file: ${error.message}`);
+  }
+}
+
+// Column names for rows flattened from the GSTR-2B JSON. They follow the headers of the
+// portal's GSTR-2B Excel so JSON and spreadsheet uploads can be mapped the same way.
+export const GSTR2B_COLUMNS = [
+  'Section',
+  'Document Type',
+  'GSTIN of supplier',
+  'Trade/Legal name',
+  'Invoice number',
+  'Invoice Date',
+  'Invoice Value',
+  'Original Invoice number',
+  'Original Invoice Date',
+  'Place of supply',
+  'Rate (%)',
+  'Taxable Value',
+  'Integrated Tax',
+  'Central Tax',
+  'State/UT Tax',
+  'Cess',
+  'ITC Availability',
+  'Reason',
+  'Reverse Charge'
+];
+
+const NOTE_TYPES = { C: 'Credit Note', D: 'Debit Note' };
+const INVOICE_TYPES = { R: 'Regular', SEZWP: 'SEZ with payment', SEZWOP: 'SEZ without payment', DE: 'Deemed Export', CBW: 'Intra-State supplies attracting IGST' };
+
+function toNumber(value) {
+  if (value === null || value === undefined || value === '') return 0;
+  const num = Number(value);
+  return Number.isFinite(num) ? num : 0;
+}
+
+function toFlag(value) {
+  if (value === true) return 'Yes';
+  if (value === false) return 'No';
+  const str = String(value ?? '').trim().toUpperCase();
+  if (str === 'Y' || str === 'YES') return 'Yes';
+  if (str === 'N' || str === 'NO') return 'No';
+  return str ? String(value).trim() : '';
+}
+
+function buildGstr2bRow(values) {
+  const row = {};
+  GSTR2B_COLUMNS.forEach(col => {
+    row[col] = values[col] !== undefined ? values[col] : '';
+  });
+  return row;
+}
+
+// One row per rate-wise item; documents without an items array (older files) become a single row
+function itemRows(base, doc) {
+  const items = Array.isArray(doc.items) && doc.items.length > 0 ? doc.items : [doc];
+  return items.map(item => buildGstr2bRow({
+    ...base,
+    'Rate (%)': toNumber(item.rt),
+    'Taxable Value': toNumber(item.txval),
+    'Integrated Tax': toNumber(item.igst),
+    'Central Tax': toNumber(item.cgst),
+    'State/UT Tax': toNumber(item.sgst),
+    'Cess': toNumber(item.cess)
+  }));
+}
+
+function flattenB2B(section, suppliers, amended) {
+  const rows = [];
+  (suppliers || []).forEach(supplier => {
+    (supplier.inv || []).forEach(inv => {
+      rows.push(...itemRows({
+        'Section': section,
+        'Document Type': INVOICE_TYPES[inv.typ] || inv.typ || 'Regular',
+        'GSTIN of supplier': supplier.ctin || '',
+        'Trade/Legal name': supplier.trdnm || '',
+        'Invoice number': inv.inum || '',
+        'Invoice Date': inv.dt || '',
+        'Invoice Value': toNumber(inv.val),
+        'Original Invoice number': amended ? inv.oinum || '' : '',
+        'Original Invoice Date': amended ? inv.oidt || '' : '',
+        'Place of supply': inv.pos || '',
+        'ITC Availability': toFlag(inv.itcavl),
+        'Reason': inv.rsn || '',
+        'Reverse Charge': toFlag(inv.rev)
+      }, inv));
     });
-    
-    // Normalize all values in CSV data
-    const normalizedData = data.map(row => {
-      const normalizedRow = {};
-      Object.keys(row).forEach(col => {
-        normalizedRow[col] = normalizeValue(row[col]);
-      });
-      return normalizedRow;
+  });
+  return rows;
+}
+
+function flattenCDNR(section, suppliers, amended) {
+  const rows = [];
+  (suppliers || []).forEach(supplier => {
+    (supplier.nt || []).forEach(note => {
+      rows.push(...itemRows({
+        'Section': section,
+        'Document Type': NOTE_TYPES[note.typ] || note.typ || '',
+        'GSTIN of supplier': supplier.ctin || '',
+        'Trade/Legal name': supplier.trdnm || '',
+        'Invoice number': note.ntnum || '',
+        'Invoice Date': note.dt || '',
+        'Invoice Value': toNumber(note.val),
+        'Original Invoice number': amended ? note.ontnum || '' : '',
+        'Original Invoice Date': amended ? note.ontdt || '' : '',
+        'Place of supply': note.pos || '',
+        'ITC Availability': toFlag(note.itcavl),
+        'Reason': note.rsn || '',
+        'Reverse Charge': toFlag(note.rev)
+      }, note));
     });
-    
+  });
+  return rows;
+}
+
+function flattenISD(suppliers) {
+  const rows = [];
+  (suppliers || []).forEach(supplier => {
+    (supplier.doclist || []).forEach(doc => {
+      rows.push(buildGstr2bRow({
+        'Section': 'ISD',
+        'Document Type': doc.doctyp || '',
+        'GSTIN of supplier': supplier.ctin || '',
+        'Trade/Legal name': supplier.trdnm || '',
+        'Invoice number': doc.docnum || '',
+        'Invoice Date': doc.docdt || '',
+        'Invoice Value': toNumber(doc.igst) + toNumber(doc.cgst) + toNumber(doc.sgst) + toNumber(doc.cess),
+        'Original Invoice number': doc.oinvnum || '',
+        'Original Invoice Date': doc.oinvdt || '',
+        'Place of supply': '',
+        'Rate (%)': 0,
+        'Taxable Value': 0,
+        'Integrated Tax': toNumber(doc.igst),
+        'Central Tax': toNumber(doc.cgst),
+        'State/UT Tax': toNumber(doc.sgst),
+        'Cess': toNumber(doc.cess),
+        'ITC Availability': toFlag(doc.itcelg),
+        'Reason': '',
+        'Reverse Charge': 'No'
+      }));
+    });
+  });
+  return rows;
+}
+
+// Bills of entry carry no supplier GSTIN; the port code and BoE number identify the import
+function flattenIMPG(entries) {
+  return (entries || []).map(boe => buildGstr2bRow({
+    'Section': 'IMPG',
+    'Document Type': 'Bill of Entry',
+    'GSTIN of supplier': '',
+    'Trade/Legal name': boe.portcd ? `Port ${boe.portcd}` : '',
+    'Invoice number': boe.benum !== undefined ? String(boe.benum) : '',
+    'Invoice Date': boe.bedt || '',
+    'Invoice Value': toNumber(boe.txval) + toNumber(boe.igst) + toNumber(boe.cess),
+    'Original Invoice number': '',
+    'Original Invoice Date': '',
+    'Place of supply': '',
+    'Rate (%)': 0,
+    'Taxable Value': toNumber(boe.txval),
+    'Integrated Tax': toNumber(boe.igst),
+    'Central Tax': 0,
+    'State/UT Tax': 0,
+    'Cess': toNumber(boe.cess),
+    'ITC Availability': 'Yes',
+    'Reason': '',
+    'Reverse Charge': 'No'
+  }));
+}
+
+// Flatten the GSTR-2B JSON downloaded from the GST portal into one row per document line
+export function flattenGstr2b(json) {
+  // The portal wraps the return in { data: { docdata } }; accept the unwrapped form too
+  const root = json?.data?.docdata ? json.data : json;
+  const docdata = root?.docdata;
+  if (!docdata || typeof docdata !== 'object') {
+    throw new Error('docdata section not found - is this a GSTR-2B JSON download?');
+  }
+
+  return [
+    ...flattenB2B('B2B', docdata.b2b, false),
+    ...flattenB2B('B2BA', docdata.b2ba, true),
+    ...flattenCDNR('CDNR', docdata.cdnr, false),
+    ...flattenCDNR('CDNRA', docdata.cdnra, true),
+    ...flattenISD(docdata.isd),
+    ...flattenIMPG(docdata.impg)
+  ];
+}
+
+export function parseGstr2bJson(filePath) {
+  try {
+    const fileContent = fs.readFileSync(filePath, 'utf-8').replace(/^\uFEFF/, '');
+    const rows = flattenGstr2b(JSON.parse(fileContent));
+
     // Clean up file
     fs.unlinkSync(filePath);
-    
-    return normalizedData;
+
+    return rows;
   } catch (error) {
-    throw new Error(`Failed to parse CSV file: ${error.message}`);
+    throw new Error(`Failed to parse GSTR-2B JSON file: ${error.message}`);
+  }
+}
+
+// Tally list elements that may occur once or many times per parent
+const TALLY_LIST_TAGS = new Set([
+  'TALLYMESSAGE',
+  'VOUCHER',
+  'ALLLEDGERENTRIES.LIST',
+  'LEDGERENTRIES.LIST',
+  'ALLINVENTORYENTRIES.LIST',
+  'INVENTORYENTRIES.LIST'
+]);
+
+// Ledger names are free text in Tally, so tax heads are recognised by name
+const TALLY_TAX_HEADS = [
+  { column: 'Cess', pattern: /cess/i },
+  { column: 'Integrated Tax', pattern: /igst|integrated/i },
+  { column: 'Central Tax', pattern: /cgst|central/i },
+  { column: 'State/UT Tax', pattern: /sgst|utgst|state(\/ut)? tax/i }
+];
+
+// Voucher types that book purchases: a Day Book export also holds payments, receipts, sales,
+// contra and journal vouchers, which are not purchase rows. Custom types are added per upload.
+export const TALLY_PURCHASE_VOUCHER_TYPES = ['Purchase', 'Debit Note', 'Credit Note'];
+
+// Per-ledger tax columns are named "Ledger: <ledger name>"
+export const TALLY_LEDGER_PREFIX = 'Ledger: ';
+
+export const TALLY_COLUMNS = [
+  'Voucher Type',
+  'Voucher Number',
+  'Voucher Date',
+  'Party Name',
+  'GSTIN of supplier',
+  'Invoice number',
+  'Invoice Date',
+  'Place of supply',
+  'Taxable Value',
+  'Integrated Tax',
+  'Central Tax',
+  'State/UT Tax',
+  'Cess',
+  'Round Off',
+  'Invoice Value'
+];
+
+function tallyText(value) {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'object') return tallyText(value['#text']);
+  return String(value).trim();
+}
+
+function tallyFlag(value) {
+  const text = tallyText(value).toLowerCase();
+  return text === 'yes' ? true : text === 'no' ? false : null;
+}
+
+// Tally stores amounts with the credit side positive and the debit side negative, and marks
+// a debit with ISDEEMEDPOSITIVE=Yes. Return the amount with debits positive, taking Dr/Cr
+// from the flag when it is there and from the sign of AMOUNT otherwise.
+function tallyDebitAmount(entry) {
+  const amount = parseFloat(tallyText(entry.AMOUNT).replace(/,/g, ''));
+  if (!Number.isFinite(amount)) return 0;
+  const isDebit = tallyFlag(entry.ISDEEMEDPOSITIVE);
+  if (isDebit === null) return -amount;
+  return isDebit ? Math.abs(amount) : -Math.abs(amount);
+}
+
+// The party's ledger entry says so with ISPARTYLEDGER; older exports lack the flag and are
+// matched on PARTYLEDGERNAME instead
+function isPartyEntry(entry, partyName) {
+  const flag = tallyFlag(entry.ISPARTYLEDGER);
+  if (flag !== null) return flag;
+  return Boolean(partyName) && tallyText(entry.LEDGERNAME) === partyName;
+}
+
+// YYYYMMDD -> DD-MM-YYYY
+function tallyDate(value) {
+  const str = tallyText(value);
+  const match = /^(\d{4})(\d{2})(\d{2})$/.exec(str);
+  return match ? `${match[3]}-${match[2]}-${match[1]}` : str;
+}
+
+function roundAmount(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function collectVouchers(node, vouchers) {
+  if (!node || typeof node !== 'object') return;
+  if (Array.isArray(node)) {
+    node.forEach(child => collectVouchers(child, vouchers));
+    return;
+  }
+  Object.entries(node).forEach(([key, child]) => {
+    if (key === 'VOUCHER') {
+      vouchers.push(...child);
+    } else {
+      collectVouchers(child, vouchers);
+    }
+  });
+}
+
+function flattenTallyVoucher(voucher) {
+  const ledgerEntries = [
+    ...(voucher['ALLLEDGERENTRIES.LIST'] || []),
+    ...(voucher['LEDGERENTRIES.LIST'] || [])
+  ];
+  const inventoryEntries = [
+    ...(voucher['ALLINVENTORYENTRIES.LIST'] || []),
+    ...(voucher['INVENTORYENTRIES.LIST'] || [])
+  ];
+  const voucherParty = tallyText(voucher.PARTYLEDGERNAME);
+  const partyEntries = new Set(ledgerEntries.filter(entry => isPartyEntry(entry, voucherParty)));
+  const partyName = voucherParty || tallyText([...partyEntries][0]?.LEDGERNAME);
+
+  const row = {
+    'Voucher Type': tallyText(voucher.VOUCHERTYPENAME) || tallyText(voucher['@_VCHTYPE']),
+    'Voucher Number': tallyText(voucher.VOUCHERNUMBER),
+    'Voucher Date': tallyDate(voucher.DATE),
+    'Party Name': partyName,
+    'GSTIN of supplier': tallyText(voucher.PARTYGSTIN),
+    // The supplier's own invoice number/date are kept in the voucher reference fields
+    'Invoice number': tallyText(voucher.REFERENCE) || tallyText(voucher.VOUCHERNUMBER),
+    'Invoice Date': tallyDate(voucher.REFERENCEDATE) || tallyDate(voucher.DATE),
+    'Place of supply': tallyText(voucher.PLACEOFSUPPLY),
+    'Taxable Value': 0,
+    'Integrated Tax': 0,
+    'Central Tax': 0,
+    'State/UT Tax': 0,
+    'Cess': 0,
+    'Round Off': 0,
+    'Invoice Value': 0
+  };
+  const ledgerAmounts = {};
+
+  ledgerEntries.forEach(entry => {
+    const ledgerName = tallyText(entry.LEDGERNAME);
+    const debit = tallyDebitAmount(entry);
+
+    if (partyEntries.has(entry)) {
+      // The party is credited on a purchase, so the invoice value is the credit amount
+      row['Invoice Value'] += -debit;
+      return;
+    }
+
+    const taxHead = TALLY_TAX_HEADS.find(head => head.pattern.test(ledgerName));
+    if (taxHead) {
+      row[taxHead.column] += debit;
+      ledgerAmounts[ledgerName] = (ledgerAmounts[ledgerName] || 0) + debit;
+    } else if (/round/i.test(ledgerName)) {
+      row['Round Off'] += debit;
+    } else {
+      row['Taxable Value'] += debit;
+    }
+  });
+
+  // Item-invoice vouchers carry the purchase value on the inventory lines instead
+  inventoryEntries.forEach(entry => {
+    row['Taxable Value'] += tallyDebitAmount(entry);
+  });
+
+  ['Taxable Value', 'Integrated Tax', 'Central Tax', 'State/UT Tax', 'Cess', 'Round Off', 'Invoice Value'].forEach(col => {
+    row[col] = roundAmount(row[col]);
+  });
+  // Ledger names are free text; the prefix keeps one named "IGST" or "Party Name" from
+  // overwriting a standard column
+  Object.entries(ledgerAmounts).forEach(([ledgerName, amount]) => {
+    row[`${TALLY_LEDGER_PREFIX}${ledgerName}`] = roundAmount(amount);
+  });
+
+  return row;
+}
+
+// A voucher is kept when its type (or the type it was created from) is in the list; a voucher
+// with no type at all cannot be told apart and is kept
+function isPurchaseVoucher(voucher, voucherTypes) {
+  const types = [tallyText(voucher.VOUCHERTYPENAME), tallyText(voucher['@_VCHTYPE'])].filter(Boolean);
+  return types.length === 0 || types.some(type => voucherTypes.has(type.toLowerCase()));
+}
+
+// Flatten a Tally Day Book / Purchase Register XML export into one row per purchase-side
+// voucher, with tax amounts per head and per tax ledger (debits positive). voucherTypes adds
+// custom voucher type names to TALLY_PURCHASE_VOUCHER_TYPES.
+export function flattenTallyXML(xml, { voucherTypes = [] } = {}) {
+  const parser = new XMLParser({
+    ignoreAttributes: false,
+    attributeNamePrefix: '@_',
+    parseTagValue: false,
+    isArray: (name) => TALLY_LIST_TAGS.has(name)
+  });
+  // Tally writes control characters as numeric references, which are not valid XML
+  const document = parser.parse(xml.replace(/&#(?:[0-8]|1[1-2]|1[4-9]|2\d|3[01]);/g, ''));
+
+  const vouchers = [];
+  collectVouchers(document, vouchers);
+  if (vouchers.length === 0) {
+    throw new Error('No VOUCHER elements found - is this a Tally XML export?');
+  }
+
+  const purchaseTypes = new Set([...TALLY_PURCHASE_VOUCHER_TYPES, ...voucherTypes].map(type => String(type).trim().toLowerCase()));
+  const active = vouchers.filter(voucher => tallyText(voucher.ISCANCELLED).toLowerCase() !== 'yes');
+  const rows = active
+    .filter(voucher => isPurchaseVoucher(voucher, purchaseTypes))
+    .map(flattenTallyVoucher);
+  if (active.length > 0 && rows.length === 0) {
+    throw new Error(`No purchase vouchers found - expected voucher types ${Array.from(purchaseTypes).join(', ')}`);
+  }
+
+  // Per-ledger columns differ between vouchers; give every row every column
+  const allColumns = new Set(TALLY_COLUMNS);
+  rows.forEach(row => Object.keys(row).forEach(col => allColumns.add(col)));
+  return rows.map(row => {
+    const normalizedRow = {};
+    allColumns.forEach(col => {
+      normalizedRow[col] = row[col] !== undefined ? row[col] : 0;
+    });
+    return normalizedRow;
+  });
+}
+
+export function parseTallyXML(filePath, options = {}) {
+  try {
+    const buffer = fs.readFileSync(filePath);
+    // Tally exports are frequently UTF-16LE with a byte order mark
+    const xml = buffer[0] === 0xff && buffer[1] === 0xfe
+      ? buffer.toString('utf16le')
+      : buffer.toString('utf-8');
+    const rows = flattenTallyXML(xml.replace(/^\uFEFF/, ''), options);
+
+    // Clean up file
+    fs.unlinkSync(filePath);
+
+    return rows;
+  } catch (error) {
+    throw new Error(`Failed to parse Tally XML file: ${error.message}`);
   }
 }
@@ -0,0 +1,180 @@
+import { ROLE_TAX_HEADS } from './columnRoles.js';
+import { canonicalizeInvoiceNumber, rulesForSupplier } from './invoiceNumber.js';
+import { DEFAULT_TOLERANCE_PROFILE, amountWithinTolerance, dateDifferenceDays, parseAmount } from './tolerance.js';
+
+// Grouped matches link one row to several rows of the same supplier whose monetary totals
+// agree within the tolerance profile - one consolidated invoice booked as two vouchers, or
+// several invoices booked as one. Every row of the several must be related to the one: the
+// same invoice number once canonicalized, or an invoice date within the profile's date window.
+
+// Most rows on the "many" side of a 1:M / N:1 group
+export const MAX_GROUP_SIZE = 5;
+// Candidates considered for a subset search; the closest amounts below the target are kept
+const MAX_SUBSET_CANDIDATES = 12;
+
+function supplierKey(value) {
+  return String(value ?? '').trim().toUpperCase();
+}
+
+function totalsOf(rows, columnNames, moneyIndexes, roles) {
+  const totals = {};
+  moneyIndexes.forEach(idx => {
+    const sum = rows.reduce((acc, row) => acc + parseAmount(row[columnNames[idx]]), 0);
+    totals[roles[idx]] = Math.round(sum * 100) / 100;
+  });
+  return totals;
+}
+
+function totalsAgree(gstTotals, tallyTotals, moneyRoles, profile) {
+  return moneyRoles.every(role => amountWithinTolerance(ROLE_TAX_HEADS[role], gstTotals[role], tallyTotals[role], profile));
+}
+
+// The main amount used to order and prune candidates: taxable value if mapped, else the first monetary role
+function primaryAmount(row, columnNames, primaryIdx) {
+  return parseAmount(row[columnNames[primaryIdx]]);
+}
+
+// Whether a candidate may join target's group. With neither invoice number nor date mapped
+// the supplier is all there is to go on.
+function related(target, candidate, ctx, targetColumns, candidateColumns, rules) {
+  const { invoiceIdx, dateIdx } = ctx;
+  if (invoiceIdx < 0 && dateIdx < 0) return true;
+  if (invoiceIdx >= 0) {
+    const invoice = canonicalizeInvoiceNumber(target[targetColumns[invoiceIdx]], rules);
+    if (invoice && invoice === canonicalizeInvoiceNumber(candidate[candidateColumns[invoiceIdx]], rules)) return true;
+  }
+  if (dateIdx < 0) return false;
+  const days = dateDifferenceDays(target[targetColumns[dateIdx]], candidate[candidateColumns[dateIdx]]);
+  return days !== null && Math.abs(days) <= ctx.profile.dateWindowDays;
+}
+
+// Smallest subset (2..MAX_GROUP_SIZE rows) of related candidates whose totals agree with target
+function findSubset(target, candidates, ctx, targetColumns, candidateColumns, rules) {
+  const targetTotals = totalsOf([target], targetColumns, ctx.moneyIndexes, ctx.roles);
+  const targetAmount = targetTotals[ctx.roles[ctx.primaryIdx]];
+
+  const pool = candidates
+    .filter(row => related(target, row, ctx, targetColumns, candidateColumns, rules))
+    .filter(row => primaryAmount(row, candidateColumns, ctx.primaryIdx) <= Math.abs(targetAmount) + 1)
+    .sort((a, b) => primaryAmount(b, candidateColumns, ctx.primaryIdx) - primaryAmount(a, candidateColumns, ctx.primaryIdx))
+    .slice(0, MAX_SUBSET_CANDIDATES);
+
+  for (let size = 2; size <= Math.min(MAX_GROUP_SIZE, pool.length); size++) {
+    const chosen = [];
+    const search = (start) => {
+      if (chosen.length === size) {
+        const totals = totalsOf(chosen, candidateColumns, ctx.moneyIndexes, ctx.roles);
+        return totalsAgree(targetTotals, totals, ctx.moneyRoles, ctx.profile) ? [...chosen] : null;
+      }
+      for (let i = start; i < pool.length; i++) {
+        chosen.push(pool[i]);
+        const found = search(i + 1);
+        chosen.pop();
+        if (found) return found;
+      }
+      return null;
+    };
+    const found = search(0);
+    if (found) return found;
+  }
+  return null;
+}
+
+function groupEntry(gstRows, tallyRows, ctx) {
+  const gstTotals = totalsOf(gstRows, ctx.gstColumnNames, ctx.moneyIndexes, ctx.roles);
+  const tallyTotals = totalsOf(tallyRows, ctx.tallyColumnNames, ctx.moneyIndexes, ctx.roles);
+  const difference = {};
+  ctx.moneyRoles.forEach(role => {
+    difference[role] = Math.round((gstTotals[role] - tallyTotals[role]) * 100) / 100;
+  });
+  return {
+    gst: gstRows,
+    tally: tallyRows,
+    type: `${gstRows.length === 1 ? '1' : 'N'}:${tallyRows.length === 1 ? '1' : 'M'}`,
+    gstTotals,
+    tallyTotals,
+    difference,
+    toleranceProfile: ctx.profile.name
+  };
+}
+
+function groupContext({ gstColumnNames, tallyColumnNames, roles, profile = DEFAULT_TOLERANCE_PROFILE }) {
+  const moneyIndexes = roles.map((role, idx) => (ROLE_TAX_HEADS[role] ? idx : -1)).filter(idx => idx >= 0);
+  const taxableIdx = roles.indexOf('taxableValue');
+  return {
+    roles,
+    profile,
+    gstColumnNames,
+    tallyColumnNames,
+    moneyIndexes,
+    moneyRoles: moneyIndexes.map(idx => roles[idx]),
+    primaryIdx: taxableIdx >= 0 ? taxableIdx : moneyIndexes[0],
+    invoiceIdx: roles.indexOf('invoiceNumber'),
+    dateIdx: roles.indexOf('invoiceDate')
+  };
+}
+
+// A group of rows someone else chose (a reviewer's manual link), with its totals and difference
+export function buildGroupEntry(gstRows, tallyRows, options) {
+  return groupEntry(gstRows, tallyRows, groupContext(options));
+}
+
+// gstRows / tallyRows are the rows left unmatched by the earlier passes, keyed by
+// gstColumnNames / tallyColumnNames (which line up with roles). Returns the groups and
+// the rows they used; needs a supplierGstin role and at least one monetary role.
+// options.allowGroup(gstRows, tallyRows) can veto a group (manual unlinks); options.invoiceRules
+// are the per-supplier invoice number rules.
+export function findGroupMatches(gstRows, tallyRows, options) {
+  const { gstColumnNames, tallyColumnNames, roles, profile = DEFAULT_TOLERANCE_PROFILE, allowGroup = () => true, invoiceRules } = options;
+  const gstinIdx = roles.indexOf('supplierGstin');
+  const ctx = groupContext({ gstColumnNames, tallyColumnNames, roles, profile });
+  const { moneyIndexes } = ctx;
+  if (gstinIdx < 0 || moneyIndexes.length === 0) {
+    return { groups: [], gstUsed: new Set(), tallyUsed: new Set() };
+  }
+
+  const buckets = new Map();
+  const bucketFor = (key) => {
+    if (!buckets.has(key)) buckets.set(key, { gst: [], tally: [] });
+    return buckets.get(key);
+  };
+  gstRows.forEach(row => {
+    const key = supplierKey(row[gstColumnNames[gstinIdx]]);
+    if (key) bucketFor(key).gst.push(row);
+  });
+  tallyRows.forEach(row => {
+    const key = supplierKey(row[tallyColumnNames[gstinIdx]]);
+    if (key) bucketFor(key).tally.push(row);
+  });
+
+  const groups = [];
+  const gstUsed = new Set();
+  const tallyUsed = new Set();
+
+  buckets.forEach((bucket, supplier) => {
+    if (bucket.gst.length === 0 || bucket.tally.length === 0) return;
+    const rules = rulesForSupplier(invoiceRules, supplier);
+    const freeGst = () => bucket.gst.filter(row => !gstUsed.has(row));
+    const freeTally = () => bucket.tally.filter(row => !tallyUsed.has(row));
+    const use = (gst, tally) => {
+      if (!allowGroup(gst, tally)) return;
+      groups.push(groupEntry(gst, tally, ctx));
+      gst.forEach(row => gstUsed.add(row));
+      tally.forEach(row => tallyUsed.add(row));
+    };
+
+    // One GST invoice booked as several vouchers
+    freeGst().forEach(gstRow => {
+      const subset = findSubset(gstRow, freeTally(), ctx, gstColumnNames, tallyColumnNames, rules);
+      if (subset) use([gstRow], subset);
+    });
+
+    // Several GST invoices booked as one voucher
+    freeTally().forEach(tallyRow => {
+      const subset = findSubset(tallyRow, freeGst(), ctx, tallyColumnNames, gstColumnNames, rules);
+      if (subset) use(subset, [tallyRow]);
+    });
+  });
+
+  return { groups, gstUsed, tallyUsed };
+}
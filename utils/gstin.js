@@ -0,0 +1,130 @@
+// GSTIN validation. A GSTIN is 15 characters: a two-digit state code, the holder's PAN,
+// an entity number, 'Z', and a mod-36 check character over the first fourteen.
+// "27AAPFU0939F1ZV": state 27, PAN AAPFU0939F, entity 1, check V.
+
+const CHARSET = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+export const GSTIN_STATE_CODES = {
+  '01': 'Jammu and Kashmir',
+  '02': 'Himachal Pradesh',
+  '03': 'Punjab',
+  '04': 'Chandigarh',
+  '05': 'Uttarakhand',
+  '06': 'Haryana',
+  '07': 'Delhi',
+  '08': 'Rajasthan',
+  '09': 'Uttar Pradesh',
+  '10': 'Bihar',
+  '11': 'Sikkim',
+  '12': 'Arunachal Pradesh',
+  '13': 'Nagaland',
+  '14': 'Manipur',
+  '15': 'Mizoram',
+  '16': 'Tripura',
+  '17': 'Meghalaya',
+  '18': 'Assam',
+  '19': 'West Bengal',
+  '20': 'Jharkhand',
+  '21': 'Odisha',
+  '22': 'Chhattisgarh',
+  '23': 'Madhya Pradesh',
+  '24': 'Gujarat',
+  '25': 'Daman and Diu',
+  '26': 'Dadra and Nagar Haveli and Daman and Diu',
+  '27': 'Maharashtra',
+  '28': 'Andhra Pradesh (before reorganisation)',
+  '29': 'Karnataka',
+  '30': 'Goa',
+  '31': 'Lakshadweep',
+  '32': 'Kerala',
+  '33': 'Tamil Nadu',
+  '34': 'Puducherry',
+  '35': 'Andaman and Nicobar Islands',
+  '36': 'Telangana',
+  '37': 'Andhra Pradesh',
+  '38': 'Ladakh',
+  '97': 'Other Territory',
+  '99': 'Centre Jurisdiction'
+};
+
+// Fourth PAN character: the kind of holder
+const PAN_HOLDER_TYPES = 'ABCFGHJLPT';
+
+export const GSTIN_ERRORS = {
+  empty: 'GSTIN is blank',
+  length: 'GSTIN must be 15 characters',
+  characters: 'GSTIN may only contain letters and digits',
+  state_code: 'Unknown state code',
+  pan: 'Characters 3-12 are not a valid PAN',
+  entity_code: 'Entity number (13th character) must be 1-9 or A-Z',
+  default_char: "14th character must be 'Z'",
+  checksum: 'Check character does not match'
+};
+
+// The check character for the first fourteen characters
+export function gstinCheckCharacter(first14) {
+  let sum = 0;
+  for (let i = 0; i < 14; i++) {
+    const product = CHARSET.indexOf(first14[i]) * (i % 2 === 0 ? 1 : 2);
+    sum += Math.floor(product / 36) + (product % 36);
+  }
+  return CHARSET[(36 - (sum % 36)) % 36];
+}
+
+// { value, valid, errors: [code], stateCode, state, pan }; errors are keys of GSTIN_ERRORS
+export function validateGstin(input) {
+  const value = String(input ?? '').trim().toUpperCase();
+  const result = { value, valid: false, errors: [], stateCode: null, state: null, pan: null };
+
+  if (!value) {
+    result.errors.push('empty');
+    return result;
+  }
+  if (!/^[0-9A-Z]*$/.test(value)) {
+    result.errors.push('characters');
+    return result;
+  }
+  if (value.length !== 15) {
+    result.errors.push('length');
+    return result;
+  }
+
+  result.stateCode = value.slice(0, 2);
+  result.state = GSTIN_STATE_CODES[result.stateCode] || null;
+  if (!result.state) result.errors.push('state_code');
+
+  result.pan = value.slice(2, 12);
+  if (!/^[A-Z]{3}[A-Z][A-Z]\d{4}[A-Z]$/.test(result.pan) || !PAN_HOLDER_TYPES.includes(result.pan[3])) {
+    result.errors.push('pan');
+  }
+  if (!/^[1-9A-Z]$/.test(value[12])) result.errors.push('entity_code');
+  if (value[13] !== 'Z') result.errors.push('default_char');
+  if (gstinCheckCharacter(value) !== value[14]) result.errors.push('checksum');
+
+  result.valid = result.errors.length === 0;
+  return result;
+}
+
+export function isValidGstin(value) {
+  return validateGstin(value).valid;
+}
+
+// Per-row report for one GSTIN column. Blank cells are counted but not listed;
+// row numbers are 1-based data rows.
+export function gstinColumnReport(rows, column, side) {
+  const report = { side, column, checked: 0, blank: 0, invalid: 0, rows: [] };
+  rows.forEach((row, idx) => {
+    const raw = row?.[column];
+    if (raw === undefined || raw === null || String(raw).trim() === '') {
+      report.blank++;
+      return;
+    }
+    report.checked++;
+    const { value, valid, errors } = validateGstin(raw);
+    if (!valid) {
+      report.invalid++;
+      report.rows.push({ row: idx + 1, value, errors, messages: errors.map(code => GSTIN_ERRORS[code]) });
+    }
+  });
+  return report;
+}
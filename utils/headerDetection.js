@@ -0,0 +1,194 @@
+// Header detection for spreadsheet-like data read as a matrix (array of row arrays).
+// Portal and Tally exports put report titles above the table, and GSTR-2B uses a
+// two-row header where a merged parent cell ("Tax Amount") spans its sub-columns.
+
+export const HEADER_SCAN_ROWS = 30;
+const HEADER_SEPARATOR = ' › ';
+
+// Words that show up in GST / books column headers; they lift a row's header score
+const HEADER_KEYWORDS = /gstin|invoice|inv\b|date|value|tax|rate|supplier|party|name|number|no\.?$|cess|voucher|particulars|place|supply|reverse|itc|amount|igst|cgst|sgst|ledger|reference|type/i;
+
+function cellText(value) {
+  if (value === null || value === undefined) return '';
+  return String(value).trim();
+}
+
+function isNumericLike(value) {
+  if (typeof value === 'number') return true;
+  const str = cellText(value);
+  if (!str) return false;
+  if (/^-?[\d,]+(\.\d+)?%?$/.test(str)) return true;
+  // Dates are data, not header labels
+  return /^\d{1,4}[-/.]\d{1,2}[-/.]\d{1,4}$/.test(str);
+}
+
+function isBlankRow(row) {
+  return !row || row.every(cell => cellText(cell) === '');
+}
+
+function textCells(row) {
+  return (row || []).filter(cell => cellText(cell) !== '' && !isNumericLike(cell));
+}
+
+function headerScore(row) {
+  const filled = (row || []).filter(cell => cellText(cell) !== '');
+  if (filled.length < 2) return 0;
+
+  const texts = textCells(row);
+  // A header row is (almost) entirely labels; data rows mix labels and numbers
+  if (texts.length < filled.length * 0.8) return 0;
+
+  // Count distinct labels so a merged title repeated across the sheet does not outscore the header
+  const labels = new Set(texts.map(cellText));
+  if (labels.size < 2) return 0;
+  const keywordHits = Array.from(labels).filter(label => HEADER_KEYWORDS.test(label)).length;
+  return labels.size + keywordHits * 2;
+}
+
+// Copy each merged cell's value across its whole range so a parent label
+// covers every sub-column under it
+export function fillMerges(matrix, merges = []) {
+  merges.forEach(merge => {
+    const value = matrix[merge.s.r]?.[merge.s.c];
+    if (cellText(value) === '') return;
+    for (let r = merge.s.r; r <= merge.e.r; r++) {
+      if (!matrix[r]) continue;
+      for (let c = merge.s.c; c <= merge.e.c; c++) {
+        if (cellText(matrix[r][c]) === '') {
+          matrix[r][c] = value;
+        }
+      }
+    }
+  });
+  return matrix;
+}
+
+// A parent label repeated across neighbouring columns, with different labels below it,
+// means a merged parent cell
+function hasParentSpan(headerRow, nextRow) {
+  return (headerRow || []).some((cell, idx) => {
+    const text = cellText(cell);
+    return text !== '' && text === cellText(headerRow[idx + 1])
+      && cellText(nextRow[idx]) !== text;
+  });
+}
+
+// True when the row below the header holds sub-column labels rather than data
+function isSubHeaderRow(headerRow, nextRow) {
+  if (isBlankRow(nextRow)) return false;
+  const filled = nextRow.filter(cell => cellText(cell) !== '');
+  if (textCells(nextRow).length !== filled.length) return false;
+
+  const keywordHits = filled.filter(cell => HEADER_KEYWORDS.test(cellText(cell))).length;
+  return hasParentSpan(headerRow, nextRow) || keywordHits >= 2;
+}
+
+function columnLetter(index) {
+  let letters = '';
+  let n = index + 1;
+  while (n > 0) {
+    const rem = (n - 1) % 26;
+    letters = String.fromCharCode(65 + rem) + letters;
+    n = Math.floor((n - 1) / 26);
+  }
+  return letters;
+}
+
+// Find the header band in a matrix. headerRow is 1-based; pass it to override the detection
+// (a sub-header row directly below it is still recognised).
+export function detectHeaderBand(matrix, headerRow) {
+  let headerIndex = 0;
+
+  if (Number.isInteger(headerRow) && headerRow > 0) {
+    headerIndex = Math.min(headerRow - 1, Math.max(matrix.length - 1, 0));
+  } else {
+    let bestScore = 0;
+    for (let i = 0; i < Math.min(HEADER_SCAN_ROWS, matrix.length); i++) {
+      const score = headerScore(matrix[i]);
+      if (score > bestScore) {
+        bestScore = score;
+        headerIndex = i;
+      }
+    }
+
+    // The sub-header row often scores highest; step up to its parent row
+    const previousRow = matrix[headerIndex - 1];
+    if (headerIndex > 0 && headerScore(previousRow) > 0
+      && hasParentSpan(previousRow, matrix[headerIndex]) && isSubHeaderRow(previousRow, matrix[headerIndex])) {
+      headerIndex -= 1;
+    }
+  }
+
+  const parentRow = matrix[headerIndex] || [];
+  const childRow = matrix[headerIndex + 1];
+  const bandSize = isSubHeaderRow(parentRow, childRow) ? 2 : 1;
+
+  const width = matrix
+    .slice(headerIndex)
+    .reduce((max, row) => Math.max(max, row ? row.length : 0), 0);
+
+  const seen = new Map();
+  const columns = [];
+  for (let c = 0; c < width; c++) {
+    const parent = cellText(parentRow[c]);
+    const child = bandSize === 2 ? cellText(childRow[c]) : '';
+
+    let name;
+    if (parent && child && parent !== child) {
+      name = `${parent}${HEADER_SEPARATOR}${child}`;
+    } else {
+      name = parent || child || `Column ${columnLetter(c)}`;
+    }
+
+    const count = (seen.get(name) || 0) + 1;
+    seen.set(name, count);
+    columns.push(count === 1 ? name : `${name} (${count})`);
+  }
+
+  return {
+    headerRow: headerIndex + 1,
+    headerRows: bandSize,
+    dataStartIndex: headerIndex + bandSize,
+    columns
+  };
+}
+
+// Columns to keep for the given data rows: every named column, plus unnamed ones holding data
+export function columnsWithData(band, dataRows) {
+  return band.columns
+    .map((name, idx) => ({ name, idx }))
+    .filter(({ name, idx }) => !name.startsWith('Column ') || dataRows.some(row => row && cellText(row[idx]) !== ''));
+}
+
+// Add any column a later row holds data in that the kept columns lack: an unnamed header
+// column that held nothing in the sample, or a cell past the header's width
+export function widenColumns(band, columns, row) {
+  const before = columns.length;
+  (row || []).forEach((cell, idx) => {
+    if (cellText(cell) === '' || columns.some(col => col.idx === idx)) return;
+    columns.push({ name: band.columns[idx] || `Column ${columnLetter(idx)}`, idx });
+  });
+  if (columns.length > before) columns.sort((a, b) => a.idx - b.idx);
+}
+
+export function rowToRecord(columns, row) {
+  const record = {};
+  columns.forEach(({ name, idx }) => {
+    record[name] = row[idx];
+  });
+  return record;
+}
+
+export { isBlankRow };
+
+// Turn the rows below the header band into objects keyed by the flattened column names.
+// Blank rows are dropped, as are unnamed columns that hold no data.
+export function matrixToRecords(matrix, band) {
+  const dataRows = matrix.slice(band.dataStartIndex).filter(row => !isBlankRow(row));
+  const columns = columnsWithData(band, dataRows);
+
+  return {
+    columns: columns.map(col => col.name),
+    records: dataRows.map(row => rowToRecord(columns, row))
+  };
+}
@@ -0,0 +1,228 @@
+// Invoice number canonicalization. Suppliers and our books write the same invoice as
+// "INV/0012/24-25", "INV-12/2024-25" or just "0012"; matching compares progressively
+// looser keys and reports the first normalization under which two numbers agree. Separators
+// between two digit groups are kept as a boundary, so "1/23" and "12/3" (or "12-34" and "1234")
+// stay different invoices at every level.
+
+// Strictest first. 'exact' is the old trim + lowercase comparison.
+export const INVOICE_NORMALIZATIONS = ['exact', 'separators', 'financial_year', 'prefix', 'leading_zeros'];
+
+export const DEFAULT_INVOICE_PREFIXES = ['inv', 'invoice', 'bill', 'tax', 'ti', 'si', 'pi', 'gst', 'no', 'ref', 'sales'];
+
+// Column names that hold a document number (GST and Tally headers, raw or sanitized)
+export function isInvoiceNumberColumn(name) {
+  const words = String(name || '').toLowerCase().split('›').pop().replace(/[^a-z0-9]+/g, ' ').trim();
+  return /\b(invoice|inv|bill|document|doc|voucher|reference|ref|note|supplier invoice)\s*(no|num|number)\b/.test(words)
+    || /^(invoice|reference|ref|bill) ?no$/.test(words);
+}
+
+// Split into lowercase alphanumeric tokens, also breaking letter/digit boundaries ("INV0012" -> inv, 0012)
+function tokenize(value) {
+  return value
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .flatMap(token => token.match(/[a-z]+|\d+/g) || [])
+    .filter(Boolean);
+}
+
+// Join tokens into a key; letters run into digits ("inv", "12" -> "inv12") but two digit groups
+// keep a boundary so that "1/23" and "12/3" do not both become "123"
+function joinTokens(tokens) {
+  return tokens.reduce((key, token, i) => {
+    const boundary = i > 0 && /^\d/.test(token) && /\d$/.test(tokens[i - 1]) ? '.' : '';
+    return key + boundary + token;
+  }, '');
+}
+
+function twoDigitYear(token) {
+  return token.length === 4 ? token.slice(2) : token;
+}
+
+// "24","25" / "2024","25" / "2024","2025" are one financial year
+function isYearPair(first, second) {
+  if (!/^\d{2}(\d{2})?$/.test(first) || !/^\d{2}(\d{2})?$/.test(second)) return false;
+  if (first.length === 4 && !/^20/.test(first)) return false;
+  if (second.length === 4 && !/^20/.test(second)) return false;
+  return (Number(twoDigitYear(first)) + 1) % 100 === Number(twoDigitYear(second));
+}
+
+// "2425" / "202425" / "20242025" written without a separator
+function isCompactYear(token) {
+  if (/^\d{4}$/.test(token)) return isYearPair(token.slice(0, 2), token.slice(2));
+  if (/^20\d{4}$/.test(token)) return isYearPair(token.slice(0, 4), token.slice(4));
+  if (/^20\d{2}20\d{2}$/.test(token)) return isYearPair(token.slice(0, 4), token.slice(4));
+  return false;
+}
+
+// Drop a financial year written as a prefix or suffix, keeping at least one token
+function stripFinancialYear(tokens) {
+  let result = tokens;
+  if (result.length > 2 && isYearPair(result[result.length - 2], result[result.length - 1])) {
+    result = result.slice(0, -2);
+  } else if (result.length > 1 && isCompactYear(result[result.length - 1])) {
+    result = result.slice(0, -1);
+  }
+  if (result.length > 2 && isYearPair(result[0], result[1])) {
+    result = result.slice(2);
+  } else if (result.length > 1 && isCompactYear(result[0])) {
+    result = result.slice(1);
+  }
+  return result;
+}
+
+function stripPrefixes(tokens, prefixes) {
+  let start = 0;
+  while (start < tokens.length - 1 && prefixes.has(tokens[start])) {
+    start++;
+  }
+  return tokens.slice(start);
+}
+
+function stripSuffixes(tokens, suffixes) {
+  let end = tokens.length;
+  while (end > 1 && suffixes.has(tokens[end - 1])) {
+    end--;
+  }
+  return tokens.slice(0, end);
+}
+
+function stripLeadingZeros(tokens) {
+  return tokens.map(token => (/^\d+$/.test(token) ? token.replace(/^0+(?=\d)/, '') : token));
+}
+
+// Keys for every normalization level, strictest first. rules are per-supplier settings:
+// { stripPrefixes, stripSuffixes, stripPattern, ignoreFinancialYear, ignoreLeadingZeros }
+export function invoiceNumberKeys(value, rules = {}) {
+  const raw = String(value ?? '').trim().toLowerCase();
+  const keys = [{ level: 'exact', key: raw }];
+  if (!raw) return keys;
+
+  let working = raw;
+  if (rules.stripPattern) {
+    try {
+      working = working.replace(new RegExp(rules.stripPattern, 'gi'), ' ');
+    } catch {
+      // An invalid supplier pattern is ignored rather than failing the whole run
+    }
+  }
+
+  let tokens = tokenize(working);
+  if (tokens.length === 0) return keys;
+  keys.push({ level: 'separators', key: joinTokens(tokens) });
+
+  if (rules.ignoreFinancialYear !== false) {
+    tokens = stripFinancialYear(tokens);
+  }
+  keys.push({ level: 'financial_year', key: joinTokens(tokens) });
+
+  const prefixes = new Set([...DEFAULT_INVOICE_PREFIXES, ...(rules.stripPrefixes || []).map(p => String(p).toLowerCase())]);
+  tokens = stripPrefixes(tokens, prefixes);
+  // "TI/2425/0012": the year only becomes a prefix once the series letters are gone
+  if (rules.ignoreFinancialYear !== false) {
+    tokens = stripFinancialYear(tokens);
+  }
+  if (rules.stripSuffixes && rules.stripSuffixes.length > 0) {
+    tokens = stripSuffixes(tokens, new Set(rules.stripSuffixes.map(p => String(p).toLowerCase())));
+  }
+  keys.push({ level: 'prefix', key: joinTokens(tokens) });
+
+  if (rules.ignoreLeadingZeros !== false) {
+    tokens = stripLeadingZeros(tokens);
+  }
+  keys.push({ level: 'leading_zeros', key: joinTokens(tokens) });
+
+  return keys;
+}
+
+// The loosest key - what two numbers must share to be the same invoice
+export function canonicalizeInvoiceNumber(value, rules = {}) {
+  const keys = invoiceNumberKeys(value, rules);
+  return keys[keys.length - 1].key;
+}
+
+export function invoiceKeyAt(value, level, rules = {}) {
+  const keys = invoiceNumberKeys(value, rules);
+  const found = keys.find(k => k.level === level);
+  return found ? found.key : keys[keys.length - 1].key;
+}
+
+// The strictest normalization under which two invoice numbers agree, or null
+export function compareInvoiceNumbers(a, b, rulesA = {}, rulesB = rulesA) {
+  const keysA = invoiceNumberKeys(a, rulesA);
+  const keysB = invoiceNumberKeys(b, rulesB);
+  for (const level of INVOICE_NORMALIZATIONS) {
+    const keyA = keysA.find(k => k.level === level);
+    const keyB = keysB.find(k => k.level === level);
+    if (keyA && keyB && keyA.key !== '' && keyA.key === keyB.key) {
+      return level;
+    }
+  }
+  return null;
+}
+
+export const MAX_STRIP_PATTERN_LENGTH = 100;
+
+// A supplier's stripPattern runs on every invoice number, on the one thread serving every
+// request, so patterns that can backtrack catastrophically are refused: a repeated group that
+// itself holds a quantifier or an alternation ("(a+)+", "(a|aa)*"), and back-references.
+// Returns an error message, or null when the pattern is safe to store.
+export function validateStripPattern(pattern) {
+  const source = String(pattern);
+  if (source.length > MAX_STRIP_PATTERN_LENGTH) {
+    return `stripPattern must be at most ${MAX_STRIP_PATTERN_LENGTH} characters`;
+  }
+  try {
+    new RegExp(source, 'gi');
+  } catch {
+    return 'stripPattern is not a valid regular expression';
+  }
+
+  // Open groups, each noting whether it holds a quantifier or an alternation so far
+  const groups = [{ risky: false }];
+  const isQuantifier = index => /^(?:[*+]|\{\d*,?\d*\})/.test(source.slice(index));
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (char === '\\') {
+      if (/[1-9k]/.test(source[i + 1] || '')) return 'stripPattern may not use back-references';
+      i++;
+    } else if (char === '[') {
+      // Skip the character class; quantifiers and bars inside it are literal
+      for (i++; i < source.length && source[i] !== ']'; i++) {
+        if (source[i] === '\\') i++;
+      }
+    } else if (char === '(') {
+      groups.push({ risky: false });
+    } else if (char === ')') {
+      const group = groups.pop();
+      if (group.risky && isQuantifier(i + 1)) {
+        return 'stripPattern may not repeat a group that holds a quantifier or alternation';
+      }
+      if (group.risky) groups[groups.length - 1].risky = true;
+    } else if (char === '|' || isQuantifier(i) || (char === '?' && source[i - 1] !== '(')) {
+      groups[groups.length - 1].risky = true;
+    }
+  }
+  return null;
+}
+
+// Look up the rules for a supplier GSTIN in a Map loaded from invoice_number_rules
+export function rulesForSupplier(rulesBySupplier, gstin) {
+  if (!rulesBySupplier || !gstin) return {};
+  return rulesBySupplier.get(String(gstin).trim().toUpperCase()) || {};
+}
+
+export async function loadInvoiceNumberRules(db) {
+  const result = await db.query('SELECT * FROM invoice_number_rules');
+  const rules = new Map();
+  result.rows.forEach(row => {
+    rules.set(String(row.supplier_gstin).trim().toUpperCase(), {
+      stripPrefixes: row.strip_prefixes || [],
+      stripSuffixes: row.strip_suffixes || [],
+      // A pattern saved before validation existed is dropped rather than risked
+      stripPattern: row.strip_pattern && !validateStripPattern(row.strip_pattern) ? row.strip_pattern : null,
+      ignoreFinancialYear: row.ignore_financial_year !== false,
+      ignoreLeadingZeros: row.ignore_leading_zeros !== false
+    });
+  });
+  return rules;
+}
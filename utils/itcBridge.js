@@ -0,0 +1,168 @@
+import { ROUNDING_LIMIT, parseAmount } from './tolerance.js';
+import { ITC_HEADS } from './itcSummary.js';
+
+// Books-to-portal ITC bridge. Starts at the ITC in this period's books, ends at the ITC in this
+// period's GSTR-2B, and explains the gap line by line from a log's saved result tables:
+//   not_in_2b          booked, not (yet) uploaded by the supplier      (tally_only)
+//   not_booked         uploaded by the supplier, not booked            (gst_only)
+//   amount_difference  matched documents whose tax differs             (partial / grouped)
+//   tax_head           matched documents whose total tax agrees but sits under other heads
+//   timing_difference  matched against an item carried from another period; that side's ITC
+//                      belongs to the other period's figures          (any match table)
+//   rounding           matched documents differing by less than a rupee per head
+// Every line lists the saved rows behind it by table and id.
+
+export const BRIDGE_LINES = [
+  { code: 'not_in_2b', label: 'Invoices booked but not yet in GSTR-2B' },
+  { code: 'not_booked', label: 'Invoices uploaded by suppliers but not booked' },
+  { code: 'amount_difference', label: 'Tax amount differences on matched invoices' },
+  { code: 'tax_head', label: 'Tax head misclassification (IGST vs CGST/SGST)' },
+  { code: 'timing_difference', label: 'Timing differences (matched across periods)' },
+  { code: 'rounding', label: 'Rounding differences' }
+];
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function emptyAmounts() {
+  return Object.fromEntries([...ITC_HEADS, 'total'].map(head => [head, 0]));
+}
+
+function addAmounts(total, amounts, factor = 1) {
+  ITC_HEADS.forEach(head => {
+    total[head] = round2(total[head] + factor * amounts[head]);
+  });
+  total.total = round2(ITC_HEADS.reduce((sum, head) => sum + total[head], 0));
+  return total;
+}
+
+function difference(gst, tally) {
+  return addAmounts(addAmounts(emptyAmounts(), gst), tally, -1);
+}
+
+function isZero(amounts) {
+  return ITC_HEADS.every(head => Math.abs(amounts[head]) < 0.005);
+}
+
+// ctx: { columns: { gst, tally }, roles }
+function itcReader(ctx, side) {
+  const columnNames = ctx.columns[side];
+  const one = row => {
+    const amounts = emptyAmounts();
+    ITC_HEADS.forEach(head => {
+      const idx = ctx.roles.indexOf(head);
+      amounts[head] = idx >= 0 ? round2(parseAmount(row?.[columnNames[idx]])) : 0;
+    });
+    amounts.total = round2(ITC_HEADS.reduce((sum, head) => sum + amounts[head], 0));
+    return amounts;
+  };
+  return rows => [].concat(rows || []).reduce((total, row) => addAmounts(total, one(row)), emptyAmounts());
+}
+
+function identify(ctx, side, row) {
+  const valueOf = role => {
+    const idx = ctx.roles.indexOf(role);
+    return idx >= 0 ? (row?.[ctx.columns[side][idx]] ?? null) : null;
+  };
+  return {
+    supplierGstin: valueOf('supplierGstin'),
+    invoiceNumber: valueOf('invoiceNumber'),
+    invoiceDate: valueOf('invoiceDate')
+  };
+}
+
+// Why a matched pair's current-period ITC differs, or null when it does not
+function classifyDifference(diff) {
+  if (isZero(diff)) return null;
+  if (ITC_HEADS.every(head => Math.abs(diff[head]) < ROUNDING_LIMIT)) return 'rounding';
+  if (Math.abs(diff.total) < ROUNDING_LIMIT) return 'tax_head';
+  return 'amount_difference';
+}
+
+// saved: { exact, partialMinor, partialMajor, grouped, gstOnly, tallyOnly }, each
+// { table, rows } as read back from the log's tables (rows: [] when a table was never saved).
+// Exact-match rows hold the GST side as columns and the Tally row in _tally (tables saved
+// before _tally existed count the booked ITC as the GST figures), and say in _timing_sides
+// which side, if any, was carried from another period; the match tables keep both sides as JSONB.
+export function buildItcBridge(saved, ctx) {
+  const gstItc = itcReader(ctx, 'gst');
+  const tallyItc = itcReader(ctx, 'tally');
+  const books = emptyAmounts();
+  const portal = emptyAmounts();
+  const lines = Object.fromEntries(BRIDGE_LINES.map(line => [line.code, { ...line, amounts: emptyAmounts(), rows: [] }]));
+  const post = (code, amounts, reference) => {
+    if (isZero(amounts)) return;
+    addAmounts(lines[code].amounts, amounts);
+    lines[code].rows.push({ ...reference, amounts });
+  };
+
+  // A match adds each side's ITC to its own period's total; a carried side belongs to another period
+  const addMatch = (table, record, sides) => {
+    const gst = sides.gstCarried ? emptyAmounts() : sides.gstItc;
+    const tally = sides.tallyCarried ? emptyAmounts() : sides.tallyItc;
+    addAmounts(portal, gst);
+    addAmounts(books, tally);
+    const reference = { table, id: record.id, ...identify(ctx, 'gst', sides.gstRow) };
+    if (sides.gstCarried || sides.tallyCarried) {
+      post('timing_difference', difference(gst, tally), { ...reference, carriedFrom: sides.carriedFrom });
+      return;
+    }
+    const diff = difference(gst, tally);
+    const code = classifyDifference(diff);
+    if (code) post(code, diff, reference);
+  };
+
+  saved.exact.rows.forEach(record => {
+    const carriedSides = String(record._timing_sides || '').split(',').filter(Boolean);
+    const itc = gstItc(record);
+    addMatch(saved.exact.table, record, {
+      gstRow: record,
+      gstItc: itc,
+      tallyItc: record._tally ? tallyItc(record._tally) : itc,
+      gstCarried: carriedSides.includes('gst'),
+      tallyCarried: carriedSides.includes('tally'),
+      carriedFrom: record._timing_from || null
+    });
+  });
+
+  const carriedOf = rows => [].concat(rows || []).find(row => row && row._carriedForward);
+  [saved.partialMinor, saved.partialMajor, saved.grouped].forEach(({ table, rows }) => {
+    rows.forEach(record => {
+      const gstCarried = carriedOf(record.gst);
+      const tallyCarried = carriedOf(record.tally);
+      addMatch(table, record, {
+        gstRow: [].concat(record.gst || [])[0],
+        gstItc: gstItc(record.gst),
+        tallyItc: tallyItc(record.tally),
+        gstCarried: Boolean(gstCarried),
+        tallyCarried: Boolean(tallyCarried),
+        carriedFrom: (gstCarried || tallyCarried)?._carriedForward.period ?? null
+      });
+    });
+  });
+
+  saved.tallyOnly.rows.forEach(record => {
+    const itc = tallyItc(record);
+    addAmounts(books, itc);
+    post('not_in_2b', addAmounts(emptyAmounts(), itc, -1), { table: saved.tallyOnly.table, id: record.id, ...identify(ctx, 'tally', record) });
+  });
+  saved.gstOnly.rows.forEach(record => {
+    const itc = gstItc(record);
+    addAmounts(portal, itc);
+    post('not_booked', itc, { table: saved.gstOnly.table, id: record.id, ...identify(ctx, 'gst', record) });
+  });
+
+  const bridgeLines = BRIDGE_LINES.map(line => lines[line.code]);
+  const computed = bridgeLines.reduce((total, line) => addAmounts(total, line.amounts), addAmounts(emptyAmounts(), books));
+  const unexplained = difference(portal, computed);
+
+  return {
+    heads: [...ITC_HEADS, 'total'],
+    opening: { label: 'ITC as per books', amounts: books },
+    lines: bridgeLines,
+    closing: { label: 'ITC as per GSTR-2B', amounts: portal },
+    unexplained,
+    balanced: isZero(unexplained)
+  };
+}
@@ -0,0 +1,175 @@
+import { parseAmount } from './tolerance.js';
+import { documentTypeOf } from './documents.js';
+
+// Input tax credit for GSTR-3B Table 4, from a reconciliation. 2B is the source of the
+// figures (ITC is claimed as the portal shows it); the books decide what can be claimed now:
+//   4A    every 2B line with ITC available - reverse charge in 4A(3), the rest in 4A(5) -
+//         plus 2B items from earlier periods matched this run (reclaimed, also in 4D(1))
+//   4B(2) ITC in 2B not yet in the books (2B-only rows, and the part of a matched document's
+//         2B tax above the booked tax), reversed until the purchase is booked
+//   4D(2) 2B lines marked ITC not available
+// Books-only rows are not in 2B and cannot be claimed; they are reported as deferred, outside
+// the table. Imports and ISD credit (4A(1), 4A(2), 4A(4)) come from other 2B sections and
+// blocked credit (4B(1)) needs ledger knowledge this data does not carry, so those stay zero.
+
+export const ITC_HEADS = ['igst', 'cgst', 'sgst', 'cess'];
+
+const TABLE_4_LINES = [
+  { section: '4A(1)', label: 'Import of goods' },
+  { section: '4A(2)', label: 'Import of services' },
+  { section: '4A(3)', label: 'Inward supplies liable to reverse charge (other than 1 & 2 above)' },
+  { section: '4A(4)', label: 'Inward supplies from ISD' },
+  { section: '4A(5)', label: 'All other ITC' },
+  { section: '4B(1)', label: 'As per rules 38, 42 & 43 of CGST Rules and section 17(5)' },
+  { section: '4B(2)', label: 'Others' },
+  { section: '4D(1)', label: 'ITC reclaimed which was reversed under Table 4(B)(2) in earlier tax period' },
+  { section: '4D(2)', label: 'Ineligible ITC under section 16(4) & ITC restricted due to PoS rules' }
+];
+
+const MATCH_CATEGORIES = ['exact', 'partial', 'grouped'];
+
+// 2B writes "Yes"/"No"; a blank (or unmapped) flag means available
+export function isItcAvailable(value) {
+  return !/^(n|no|not available|ineligible|blocked)\b/i.test(String(value ?? '').trim());
+}
+
+export function isReverseCharge(value) {
+  return /^(y|yes|true|1)$/i.test(String(value ?? '').trim());
+}
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function emptyAmounts() {
+  return Object.fromEntries(ITC_HEADS.map(head => [head, 0]));
+}
+
+function addAmounts(total, amounts, factor = 1) {
+  ITC_HEADS.forEach(head => {
+    total[head] = round2(total[head] + factor * amounts[head]);
+  });
+  return total;
+}
+
+function hasAmount(amounts) {
+  return ITC_HEADS.some(head => Math.abs(amounts[head]) >= 0.005);
+}
+
+// ctx: { columns: { gst, tally }, roles }
+function reader(ctx, side) {
+  const columnNames = ctx.columns[side];
+  const valueOf = (row, role) => {
+    const idx = ctx.roles.indexOf(role);
+    return idx >= 0 ? row[columnNames[idx]] : undefined;
+  };
+  const amountsOf = rows => rows.reduce(
+    (total, row) => addAmounts(total, Object.fromEntries(ITC_HEADS.map(head => [head, parseAmount(valueOf(row, head))]))),
+    emptyAmounts()
+  );
+  // What a figure's invoice list shows for one row
+  const describe = (row, category, amounts) => ({
+    side,
+    category,
+    supplierGstin: valueOf(row, 'supplierGstin') ?? null,
+    invoiceNumber: valueOf(row, 'invoiceNumber') ?? null,
+    invoiceDate: valueOf(row, 'invoiceDate') ?? null,
+    documentType: documentTypeOf(row),
+    carriedFrom: row._carriedForward ? row._carriedForward.period : null,
+    amounts
+  });
+  return { valueOf, amountsOf, describe };
+}
+
+// results: what runReconciliation returned. Returns { heads, table4, totals, deferred }; every
+// Table 4 line carries the invoices behind it.
+export function computeItcSummary(results, ctx) {
+  const gst = reader(ctx, 'gst');
+  const tally = reader(ctx, 'tally');
+  const lines = Object.fromEntries(TABLE_4_LINES.map(line => [line.section, { ...line, amounts: emptyAmounts(), invoices: [] }]));
+  const post = (section, amounts, invoice) => {
+    if (!hasAmount(amounts)) return;
+    addAmounts(lines[section].amounts, amounts);
+    lines[section].invoices.push(invoice);
+  };
+
+  // Each 2B line with its own flags: one invoice can mix available and unavailable lines
+  const claimGstRow = (row, category) => {
+    (row._lines || [row]).forEach(line => {
+      const amounts = gst.amountsOf([line]);
+      const invoice = gst.describe(line, category, amounts);
+      if (!isItcAvailable(gst.valueOf(line, 'itcAvailability'))) {
+        post('4D(2)', amounts, invoice);
+        return;
+      }
+      post(isReverseCharge(gst.valueOf(line, 'reverseCharge')) ? '4A(3)' : '4A(5)', amounts, invoice);
+      if (row._carriedForward) post('4D(1)', amounts, invoice);
+    });
+  };
+  const availableLines = rows => rows
+    .flatMap(row => row._lines || [row])
+    .filter(line => isItcAvailable(gst.valueOf(line, 'itcAvailability')));
+
+  MATCH_CATEGORIES.forEach(category => {
+    (results[category] || []).forEach(entry => {
+      const gstRows = [].concat(entry.gst);
+      const tallyRows = [].concat(entry.tally);
+      gstRows.forEach(row => claimGstRow(row, category));
+
+      // Tax 2B shows above what was booked waits for the books to catch up
+      const claimed = gst.amountsOf(availableLines(gstRows));
+      const booked = tally.amountsOf(tallyRows);
+      const excess = Object.fromEntries(ITC_HEADS.map(head => [head, round2(Math.max(0, claimed[head] - booked[head]))]));
+      post('4B(2)', excess, { ...gst.describe(gstRows[0], category, excess), reason: 'booked_lower' });
+    });
+  });
+
+  (results.gstOnly || []).forEach(row => {
+    claimGstRow(row, 'gstOnly');
+    const notBooked = gst.amountsOf(availableLines([row]));
+    post('4B(2)', notBooked, { ...gst.describe(row, 'gstOnly', notBooked), reason: 'not_booked' });
+  });
+
+  // 2B nets credit notes into 4A(5); a negative result is reported as a reversal instead
+  ITC_HEADS.forEach(head => {
+    const net = lines['4A(5)'].amounts[head];
+    if (net < 0) {
+      lines['4A(5)'].amounts[head] = 0;
+      lines['4B(2)'].amounts[head] = round2(lines['4B(2)'].amounts[head] - net);
+    }
+  });
+
+  const sum = sections => sections.reduce((total, section) => addAmounts(total, lines[section].amounts), emptyAmounts());
+  const available = sum(['4A(1)', '4A(2)', '4A(3)', '4A(4)', '4A(5)']);
+  const reversed = sum(['4B(1)', '4B(2)']);
+  const net = addAmounts({ ...available }, reversed, -1);
+
+  const deferred = { amounts: emptyAmounts(), invoices: [] };
+  (results.tallyOnly || []).forEach(row => {
+    const amounts = tally.amountsOf([row]);
+    if (!hasAmount(amounts)) return;
+    addAmounts(deferred.amounts, amounts);
+    deferred.invoices.push({ ...tally.describe(row, 'tallyOnly', amounts), reason: 'not_in_2b' });
+  });
+
+  const table4 = [
+    ...TABLE_4_LINES.slice(0, 5).map(line => lines[line.section]),
+    { section: '4A', label: 'ITC Available (whether in full or part)', amounts: available, total: true },
+    ...TABLE_4_LINES.slice(5, 7).map(line => lines[line.section]),
+    { section: '4B', label: 'ITC Reversed', amounts: reversed, total: true },
+    { section: '4C', label: 'Net ITC Available (A) - (B)', amounts: net, total: true },
+    ...TABLE_4_LINES.slice(7).map(line => lines[line.section])
+  ];
+
+  return {
+    heads: ITC_HEADS,
+    table4,
+    totals: {
+      eligible: net,
+      ineligible: lines['4D(2)'].amounts,
+      reversed,
+      deferred: deferred.amounts
+    },
+    deferred
+  };
+}
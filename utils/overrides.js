@@ -0,0 +1,103 @@
+import { canonicalizeInvoiceNumber, rulesForSupplier } from './invoiceNumber.js';
+import { gstinKey } from './supplierResolution.js';
+
+// Manual overrides. A reviewer can link records the engine left apart and unlink a pairing it
+// made; each is stored in match_overrides with who made it and when, and applied on every later
+// run. Links are applied before any strategy, so their rows are taken before the engine could
+// pair them elsewhere; unlinks keep every strategy from pairing the rows again. Re-pairing is an
+// unlink plus a link. An override is scoped to its log (rows named by log table id) unless it is
+// remembered as a rule (scope 'rule'), which names documents by supplier GSTIN and invoice number
+// and applies to every run, later periods included.
+
+export const OVERRIDE_ACTIONS = ['link', 'unlink'];
+export const OVERRIDE_SCOPES = ['log', 'rule'];
+
+// ctx: { columns: { gst, tally }, roles, invoiceRules }
+function documentValue(ctx, row, side, role) {
+  const idx = ctx.roles.indexOf(role);
+  return idx >= 0 ? row[ctx.columns[side][idx]] : undefined;
+}
+
+// How a rule names a row: { supplierGstin, invoiceNumber } as the row has them
+export function documentRef(ctx, row, side) {
+  return {
+    supplierGstin: gstinKey(documentValue(ctx, row, side, 'supplierGstin')),
+    invoiceNumber: String(documentValue(ctx, row, side, 'invoiceNumber') ?? '').trim()
+  };
+}
+
+// A reference picks rows on one side: { rowId } for a row of the log's table, else
+// { supplierGstin, invoiceNumber }. Aggregated rows are picked by any of their lines; a Tally
+// row is also picked by the GSTIN it was booked with before supplier resolution.
+export function refMatches(ctx, ref, row, side) {
+  if (ref.rowId !== undefined && ref.rowId !== null) {
+    return (row._lines || [row]).some(line => line.id !== undefined && Number(line.id) === Number(ref.rowId));
+  }
+  const supplier = gstinKey(ref.supplierGstin);
+  const rowSupplier = gstinKey(documentValue(ctx, row, side, 'supplierGstin'));
+  const bookedSupplier = row._supplierResolution ? gstinKey(row._supplierResolution.bookedGstin) : null;
+  if (!supplier || (supplier !== rowSupplier && supplier !== bookedSupplier)) return false;
+
+  const rules = rulesForSupplier(ctx.invoiceRules, rowSupplier);
+  const wanted = canonicalizeInvoiceNumber(ref.invoiceNumber, rules);
+  return Boolean(wanted) && wanted === canonicalizeInvoiceNumber(documentValue(ctx, row, side, 'invoiceNumber'), rules);
+}
+
+// Rows of one side picked by any of the references
+export function rowsForRefs(ctx, refs, rows, side) {
+  return rows.filter(row => refs.some(ref => refMatches(ctx, ref, row, side)));
+}
+
+// (gstRows, tallyRows) -> true when an unlink override forbids putting them together
+export function unlinkBlocker(ctx, overrides = []) {
+  const unlinks = overrides.filter(override => override.action === 'unlink');
+  if (unlinks.length === 0) return () => false;
+  return (gstRows, tallyRows) => unlinks.some(override =>
+    gstRows.some(row => override.gst.some(ref => refMatches(ctx, ref, row, 'gst')))
+    && tallyRows.some(row => override.tally.some(ref => refMatches(ctx, ref, row, 'tally'))));
+}
+
+function fromRecord(record) {
+  return {
+    id: record.id,
+    action: record.action,
+    scope: record.scope,
+    logId: record.log_id,
+    gst: record.gst_refs || [],
+    tally: record.tally_refs || [],
+    note: record.note,
+    createdBy: record.created_by,
+    createdAt: record.created_at
+  };
+}
+
+// Active overrides for a run: the log's own (when logId is given) and every remembered rule,
+// oldest first so a later link wins over an earlier one for the same rows
+export async function loadOverrides(db, logId = null) {
+  const result = await db.query(
+    `SELECT * FROM match_overrides
+     WHERE revoked_at IS NULL AND (scope = 'rule' OR ($1::int IS NOT NULL AND scope = 'log' AND log_id = $1))
+     ORDER BY created_at, id`,
+    [logId]
+  );
+  return result.rows.map(fromRecord);
+}
+
+export async function saveOverride(db, { logId, action, scope, gst, tally, note, createdBy }) {
+  const result = await db.query(
+    `INSERT INTO match_overrides (log_id, action, scope, gst_refs, tally_refs, note, created_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING *`,
+    [logId, action, scope, JSON.stringify(gst), JSON.stringify(tally), note ?? null, createdBy]
+  );
+  return fromRecord(result.rows[0]);
+}
+
+export async function revokeOverrides(db, ids, revokedBy) {
+  if (ids.length === 0) return [];
+  const result = await db.query(
+    `UPDATE match_overrides SET revoked_at = NOW(), revoked_by = $2
+     WHERE id = ANY($1::int[]) AND revoked_at IS NULL RETURNING id`,
+    [ids, revokedBy]
+  );
+  return result.rows.map(row => row.id);
+}
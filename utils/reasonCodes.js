@@ -0,0 +1,157 @@
+import { ROLE_TAX_HEADS } from './columnRoles.js';
+import { documentTypeOf } from './documents.js';
+import { validateGstin } from './gstin.js';
+import { ROUNDING_LIMIT, parseAmount } from './tolerance.js';
+
+// Standard reason codes for everything a run did not match exactly: partial and grouped
+// matches, both only-lists and the duplicates set aside. Each item gets every code that
+// applies, most significant first, so the first code is the one to act on. The codes are
+// stored with saved rows and used to filter results.
+
+// In priority order
+export const REASON_CODES = {
+  duplicate: 'Duplicate entry set aside before matching',
+  wrong_gstin: 'Supplier GSTIN is invalid or was corrected by supplier resolution',
+  missing_in_books: 'In GSTR-2B but not booked',
+  supplier_not_filed: 'Booked but not in GSTR-2B; the supplier has not filed it',
+  tax_head_swap: 'IGST booked as CGST/SGST or the other way round',
+  invoice_number_mismatch: 'Invoice numbers differ (likely a typing error)',
+  amount_difference: 'Taxable value or tax differs',
+  rate_difference: 'Tax does not agree with the taxable value and rate',
+  date_difference: 'Invoice dates differ',
+  place_of_supply: 'Place of supply differs',
+  value_difference: 'Another compared value differs',
+  note_not_linked: 'Credit or debit note not linked to an original invoice',
+  split_invoice: 'One invoice booked as several documents, or several as one',
+  timing_difference: 'Matched against an item from another period',
+  invoice_number_format: 'Invoice numbers differ only in format',
+  rounding: 'Amounts differ by less than a rupee'
+};
+
+const PRIORITY = Object.keys(REASON_CODES);
+
+function ordered(codes) {
+  return Array.from(new Set(codes)).sort((a, b) => PRIORITY.indexOf(a) - PRIORITY.indexOf(b));
+}
+
+function amountCode(gstAmount, tallyAmount) {
+  return Math.abs(gstAmount - tallyAmount) < ROUNDING_LIMIT ? 'rounding' : 'amount_difference';
+}
+
+// Codes read from a pair's differing columns
+function discrepancyCodes(disc) {
+  switch (disc.reason) {
+    case 'invalid_gstin':
+      return ['wrong_gstin'];
+    case 'tax_head_split':
+      return ['tax_head_swap'];
+    case 'amount_difference':
+      return [amountCode(parseAmount(disc.gstValue), parseAmount(disc.tallyValue))];
+    case 'date_difference':
+      return ['date_difference'];
+    default:
+      break;
+  }
+  if (disc.role === 'invoiceNumber') return ['invoice_number_mismatch'];
+  if (disc.role === 'supplierGstin') return ['wrong_gstin'];
+  if (disc.role === 'placeOfSupply') return ['place_of_supply'];
+  return ['value_difference'];
+}
+
+// Codes that hold for a row on its own, matched or not
+function rowCodes(row, side, info) {
+  const codes = [];
+  (row._lines || [row]).forEach(line => {
+    if (info.arithmeticLines.has(line)) codes.push('rate_difference');
+  });
+  if (side === 'tally' && row._supplierResolution) codes.push('wrong_gstin');
+  if (info.gstinIdx >= 0) {
+    const value = String(row[info.columns[side][info.gstinIdx]] ?? '').trim();
+    if (value && !validateGstin(value).valid) codes.push('wrong_gstin');
+  }
+  if (documentTypeOf(row) !== 'invoice' && !info.linkedNotes.has(row)) codes.push('note_not_linked');
+  if (row._carriedForward) codes.push('timing_difference');
+  return codes;
+}
+
+// results: the engine's { partial, grouped, gstOnly, tallyOnly, duplicates, notes } (entries are
+// given reasonCodes, only-list rows _reasonCodes). ctx: { columns: { gst, tally }, roles,
+// arithmetic } where arithmetic is the arithmetic check's findings. Returns a count per code
+// of the items carrying it.
+export function assignReasonCodes(results, ctx) {
+  const linkedNotes = new Set();
+  (results.notes?.links || []).forEach(link => {
+    if (!link.invoice.gst && !link.invoice.tally) return;
+    [...link.notes.gst, ...link.notes.tally].forEach(row => linkedNotes.add(row));
+  });
+  const info = {
+    columns: ctx.columns,
+    gstinIdx: ctx.roles.indexOf('supplierGstin'),
+    arithmeticLines: new Set((ctx.arithmetic || []).map(issue => issue.row)),
+    linkedNotes
+  };
+
+  const counts = {};
+  const assign = codes => {
+    const list = ordered(codes);
+    list.forEach(code => {
+      counts[code] = (counts[code] || 0) + 1;
+    });
+    return list;
+  };
+
+  results.partial.forEach(entry => {
+    const codes = [
+      ...entry.discrepancyColumns.flatMap(discrepancyCodes),
+      ...rowCodes(entry.gst, 'gst', info),
+      ...rowCodes(entry.tally, 'tally', info)
+    ];
+    if (entry.normalization && entry.normalization !== 'exact') codes.push('invoice_number_format');
+    entry.reasonCodes = assign(codes);
+  });
+
+  results.grouped.forEach(entry => {
+    const codes = ['split_invoice'];
+    Object.keys(ROLE_TAX_HEADS).forEach(role => {
+      const gstTotal = entry.gstTotals?.[role];
+      const tallyTotal = entry.tallyTotals?.[role];
+      if (gstTotal === undefined || tallyTotal === undefined || Math.abs(gstTotal - tallyTotal) < 0.005) return;
+      codes.push(amountCode(gstTotal, tallyTotal));
+    });
+    entry.gst.forEach(row => codes.push(...rowCodes(row, 'gst', info)));
+    entry.tally.forEach(row => codes.push(...rowCodes(row, 'tally', info)));
+    entry.reasonCodes = assign(codes);
+  });
+
+  results.gstOnly.forEach(row => {
+    row._reasonCodes = assign(['missing_in_books', ...rowCodes(row, 'gst', info)]);
+  });
+  results.tallyOnly.forEach(row => {
+    row._reasonCodes = assign(['supplier_not_filed', ...rowCodes(row, 'tally', info)]);
+  });
+  results.duplicates.forEach(set => {
+    set.reasonCodes = assign(['duplicate']);
+  });
+
+  return counts;
+}
+
+// Reason code filter from a request: ?reasonCode=rounding,date_difference (or an array).
+// Returns the codes, or null for no filter; throws on an unknown code.
+export function parseReasonCodeQuery(params = {}) {
+  const value = params.reasonCodes ?? params.reasonCode;
+  if (value === undefined || value === null || value === '') return null;
+  const codes = (Array.isArray(value) ? value : String(value).split(',')).map(code => String(code).trim()).filter(Boolean);
+  codes.forEach(code => {
+    if (!REASON_CODES[code]) {
+      throw new Error(`Unknown reason code: ${code}. Expected one of ${PRIORITY.join(', ')}`);
+    }
+  });
+  return codes.length > 0 ? codes : null;
+}
+
+// Items of a list carrying any of the codes; exact matches (no codes) drop out of a filtered list
+export function applyReasonCodeQuery(list, codes) {
+  if (!Array.isArray(list) || !codes) return list;
+  return list.filter(item => (item.reasonCodes || item._reasonCodes || []).some(code => codes.includes(code)));
+}
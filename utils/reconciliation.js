@@ -1,120 +1,630 @@
-export function reconcileData(gstData, tallyData, gstColumns, tallyColumns) {
-  const exactMatches = [];
-  const partialMatches = [];
-  const tallyMismatches = [];
-  const gstMismatches = [];
-
-  const matchedTallyIds = new Set();
-  const matchedGstIds = new Set();
-
-  // Create lookup maps for faster searching
-  const tallyMap = new Map();
-  tallyData.forEach((record, index) => {
-    const key = createKey(record, tallyColumns);
-    if (!tallyMap.has(key)) {
-      tallyMap.set(key, []);
-    }
-    tallyMap.get(key).push({ ...record, _index: index });
-  });
+import {
+  INVOICE_NORMALIZATIONS,
+  canonicalizeInvoiceNumber,
+  compareInvoiceNumbers,
+  invoiceKeyAt,
+  rulesForSupplier
+} from './invoiceNumber.js';
+import { ROLE_TAX_HEADS, comparableValue, keyIndexes, matchingIndexes, resolveColumnRoles } from './columnRoles.js';
+import { aggregateInvoiceLines, countAggregated } from './aggregation.js';
+import { buildGroupEntry, findGroupMatches } from './groupMatching.js';
+import { buildBlockIndex, candidatePositions, fuzzyBlockKeys, partialBlockKeys } from './candidates.js';
+import { DEFAULT_TOLERANCE_PROFILE, amountWithinTolerance, dateDifferenceDays, parseAmount } from './tolerance.js';
+import { editDistance } from './similarity.js';
+import { scoreGroup, scorePairing } from './confidence.js';
+import { resolveSuppliers } from './supplierResolution.js';
+import { DOCUMENT_TYPES, documentTypeOf, linkNotes, normalizeDocuments } from './documents.js';
+import { rowFromOpenItem, timingDifferenceOf } from './carryForward.js';
+import { splitExactDuplicates, splitNearDuplicates } from './duplicates.js';
+import { validateGstin } from './gstin.js';
+import { checkTaxHeads, taxHeadSplit } from './taxHeads.js';
+import { checkTaxArithmetic } from './taxArithmetic.js';
+import { assignReasonCodes } from './reasonCodes.js';
+import { rowsForRefs, unlinkBlocker } from './overrides.js';
+
+// The reconciliation engine. Every route runs GST and Tally rows through the same
+// strategies in a declared order; each strategy only sees the rows the earlier ones
+// left unmatched, so the same inputs always produce the same categories and counts.
+
+// Run order when the caller does not choose one
+export const DEFAULT_STRATEGIES = ['exact', 'keyPartial', 'fuzzy'];
+
+// Invoice numbers this close (after canonicalization) may be the same invoice mistyped
+const FUZZY_INVOICE_DISTANCE = 1;
+
+function formatDate(date) {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+// The raw text of a cell: dates as YYYY-MM-DD, ISO timestamps cut to their date part
+function cellText(value) {
+  if (value instanceof Date) return formatDate(value);
+  const str = String(value ?? '').trim();
+  return /^\d{4}-\d{2}-\d{2}T/.test(str) ? str.split('T')[0] : str;
+}
+
+// What the strategies compare for pair idx of a row: amounts numerically, text case-insensitively
+function pairValue(ctx, row, side, idx) {
+  return comparableValue(cellText(row[ctx.columns[side][idx]]), ctx.roles[idx]).toLowerCase();
+}
+
+function invoiceValue(ctx, row, side) {
+  return ctx.invoiceIdx >= 0 ? cellText(row[ctx.columns[side][ctx.invoiceIdx]]) : '';
+}
+
+function rowRules(ctx, row, side) {
+  if (ctx.gstinIdx < 0) return {};
+  return rulesForSupplier(ctx.invoiceRules, row[ctx.columns[side][ctx.gstinIdx]]);
+}
 
-  // Match GST records with Tally records
-  gstData.forEach((gstRecord, gstIndex) => {
-    const gstKey = createKey(gstRecord, gstColumns);
-    
-    // Check for exact match
-    if (tallyMap.has(gstKey)) {
-      const tallyMatches = tallyMap.get(gstKey);
-      tallyMatches.forEach(tallyRecord => {
-        if (!matchedTallyIds.has(tallyRecord._index)) {
-          exactMatches.push({
-            gstRecord,
-            tallyRecord: { ...tallyRecord },
-            matchType: 'exact',
-            discrepancies: []
-          });
-          matchedTallyIds.add(tallyRecord._index);
-          matchedGstIds.add(gstIndex);
-        }
+function unmatched(state, side) {
+  return state.rows[side].filter(row => !state.matched[side].has(row));
+}
+
+function markMatched(state, gstRows, tallyRows) {
+  gstRows.forEach(row => state.matched.gst.add(row));
+  tallyRows.forEach(row => state.matched.tally.add(row));
+}
+
+// Every compared pair that differs, ignoring invoice numbers that agree under some normalization
+function compareRows(ctx, gstRow, tallyRow) {
+  const discrepancyColumns = [];
+  let normalization = null;
+
+  ctx.compared.forEach(idx => {
+    if (idx === ctx.invoiceIdx) {
+      normalization = compareInvoiceNumbers(
+        invoiceValue(ctx, gstRow, 'gst'),
+        invoiceValue(ctx, tallyRow, 'tally'),
+        rowRules(ctx, gstRow, 'gst'),
+        rowRules(ctx, tallyRow, 'tally')
+      );
+      if (normalization) return;
+    }
+    if (pairValue(ctx, gstRow, 'gst', idx) !== pairValue(ctx, tallyRow, 'tally', idx)) {
+      discrepancyColumns.push({
+        columnIndex: idx,
+        role: ctx.roles[idx],
+        gstColumn: ctx.columns.gst[idx],
+        tallyColumn: ctx.columns.tally[idx],
+        gstValue: cellText(gstRow[ctx.columns.gst[idx]]),
+        tallyValue: cellText(tallyRow[ctx.columns.tally[idx]]),
+        reason: 'value_difference'
       });
     }
   });
 
-  // Check for partial matches (if not already matched exactly)
-  gstData.forEach((gstRecord, gstIndex) => {
-    if (matchedGstIds.has(gstIndex)) return;
-
-    tallyData.forEach((tallyRecord, tallyIndex) => {
-      if (matchedTallyIds.has(tallyIndex)) return;
-
-      const discrepancies = findDiscrepancies(gstRecord, tallyRecord, gstColumns, tallyColumns);
-      
-      // Partial match if at least one key field matches
-      if (discrepancies.length > 0 && discrepancies.length < gstColumns.length) {
-        partialMatches.push({
-          gstRecord,
-          tallyRecord,
-          matchType: 'partial',
-          discrepancies
-        });
-        matchedTallyIds.add(tallyIndex);
-        matchedGstIds.add(gstIndex);
+  return { discrepancyColumns, normalization };
+}
+
+// Judge each differing pair against the tolerance profile: amounts per tax head, the invoice date by its window
+function classifyDiscrepancies(ctx, gstRow, tallyRow, discrepancyColumns) {
+  let hasLargeDiscrepancy = false;
+  let hasDateWithinWindow = false;
+  let maxDiscrepancy = 0;
+
+  discrepancyColumns.forEach(disc => {
+    const head = ROLE_TAX_HEADS[disc.role];
+    if (head) {
+      const gstNum = parseAmount(disc.gstValue);
+      const tallyNum = parseAmount(disc.tallyValue);
+      maxDiscrepancy = Math.max(maxDiscrepancy, Math.abs(gstNum - tallyNum));
+      disc.reason = 'amount_difference';
+      disc.withinTolerance = amountWithinTolerance(head, gstNum, tallyNum, ctx.profile);
+      if (!disc.withinTolerance) {
+        hasLargeDiscrepancy = true;
+      }
+    } else if (disc.role === 'invoiceDate') {
+      const days = dateDifferenceDays(gstRow[disc.gstColumn], tallyRow[disc.tallyColumn]);
+      disc.reason = 'date_difference';
+      disc.withinTolerance = days !== null && Math.abs(days) <= ctx.profile.dateWindowDays;
+      if (disc.withinTolerance) {
+        hasDateWithinWindow = true;
       }
+    }
+  });
+
+  return { maxDiscrepancy, isMinor: !hasLargeDiscrepancy && (maxDiscrepancy > 0 || hasDateWithinWindow) };
+}
+
+// A GSTIN that fails validation on either side is a discrepancy of its own, even when the
+// pair agrees - the Tally value may only agree because supplier resolution corrected it
+function flagInvalidGstin(ctx, gstRow, tallyRow, discrepancyColumns) {
+  if (ctx.gstinIdx < 0) return;
+  const gstValue = cellText(gstRow[ctx.columns.gst[ctx.gstinIdx]]);
+  const tallyValue = tallyRow._supplierResolution
+    ? tallyRow._supplierResolution.bookedGstin
+    : cellText(tallyRow[ctx.columns.tally[ctx.gstinIdx]]);
+  const gstCheck = gstValue ? validateGstin(gstValue) : null;
+  const tallyCheck = tallyValue ? validateGstin(tallyValue) : null;
+  if ((!gstCheck || gstCheck.valid) && (!tallyCheck || tallyCheck.valid)) return;
+
+  let disc = discrepancyColumns.find(column => column.columnIndex === ctx.gstinIdx);
+  if (!disc) {
+    disc = {
+      columnIndex: ctx.gstinIdx,
+      role: 'supplierGstin',
+      gstColumn: ctx.columns.gst[ctx.gstinIdx],
+      tallyColumn: ctx.columns.tally[ctx.gstinIdx],
+      gstValue,
+      tallyValue
+    };
+    discrepancyColumns.push(disc);
+  }
+  disc.reason = 'invalid_gstin';
+  disc.gstinErrors = { gst: gstCheck ? gstCheck.errors : [], tally: tallyCheck ? tallyCheck.errors : [] };
+}
+
+// Discrepancies as the partial strategies count them: IGST against CGST + SGST with the
+// same total tax is one difference (the split), not two or three
+function discrepancyCount(ctx, gstRow, tallyRow, discrepancyColumns) {
+  const split = taxHeadSplit(ctx, gstRow, tallyRow, discrepancyColumns, ctx.profile);
+  return discrepancyColumns.length - (split ? split.columns.length - 1 : 0);
+}
+
+function partialEntry(ctx, strategy, gstRow, tallyRow, discrepancyColumns, normalization, overrides = {}) {
+  flagInvalidGstin(ctx, gstRow, tallyRow, discrepancyColumns);
+  const classified = classifyDiscrepancies(ctx, gstRow, tallyRow, discrepancyColumns);
+  const { maxDiscrepancy } = classified;
+  let { isMinor } = classified;
+
+  // The wrong tax type is never minor, even though the credit itself agrees
+  const split = taxHeadSplit(ctx, gstRow, tallyRow, discrepancyColumns, ctx.profile);
+  let taxHeadMismatch = null;
+  if (split) {
+    const { columns, ...details } = split;
+    columns.forEach(disc => {
+      disc.reason = 'tax_head_split';
     });
+    taxHeadMismatch = details;
+    isMinor = false;
+  }
+
+  const { confidence, explanation } = scorePairing(ctx, gstRow, tallyRow, discrepancyColumns, normalization, {
+    similarInvoice: strategy === 'fuzzy'
   });
+  return {
+    gst: gstRow,
+    tally: tallyRow,
+    matchType: 'partial',
+    strategy,
+    discrepancies: discrepancyColumns.length - (split ? split.columns.length - 1 : 0),
+    discrepancyColumns,
+    maxDiscrepancy,
+    isMinor,
+    taxHeadMismatch,
+    normalization,
+    confidence,
+    explanation,
+    toleranceProfile: ctx.profile.name,
+    ...overrides
+  };
+}
+
+// Every compared pair agrees. Runs once per invoice number normalization, strictest
+// first, so a match records the normalization that produced it.
+function exactStrategy(ctx, state) {
+  const levels = ctx.invoiceIdx >= 0 ? INVOICE_NORMALIZATIONS : ['exact'];
+  levels.forEach(level => {
+    const rowKey = (row, side) => ctx.compared
+      .map(idx => (idx === ctx.invoiceIdx && level !== 'exact'
+        ? invoiceKeyAt(invoiceValue(ctx, row, side), level, rowRules(ctx, row, side))
+        : pairValue(ctx, row, side, idx)))
+      .join('\u0001');
+
+    const tallyByKey = new Map();
+    unmatched(state, 'tally').forEach(row => {
+      const key = rowKey(row, 'tally');
+      if (!tallyByKey.has(key)) tallyByKey.set(key, []);
+      tallyByKey.get(key).push(row);
+    });
 
-  // Find unmatched records
-  gstData.forEach((gstRecord, gstIndex) => {
-    if (!matchedGstIds.has(gstIndex)) {
-      gstMismatches.push({
-        record: gstRecord,
-        source: 'GST',
-        type: 'missing_in_tally'
+    unmatched(state, 'gst').forEach(gstRow => {
+      const candidates = tallyByKey.get(rowKey(gstRow, 'gst')) || [];
+      const tallyRow = candidates.find(row => !state.matched.tally.has(row) && !ctx.isBlocked([gstRow], [row]));
+      if (!tallyRow) return;
+
+      const { confidence, explanation } = scorePairing(ctx, gstRow, tallyRow, [], level);
+      state.results.exact.push({
+        gst: gstRow,
+        tally: tallyRow,
+        matchType: 'exact',
+        strategy: 'exact',
+        normalization: level,
+        confidence,
+        explanation,
+        toleranceProfile: ctx.profile.name
       });
+      markMatched(state, [gstRow], [tallyRow]);
+    });
+  });
+}
+
+// The identifying roles agree and 1..maxDifferingFields other pairs differ; the Tally row
+// with the fewest differences wins. Candidates come from a block index (see candidates.js).
+function keyPartialStrategy(ctx, state) {
+  const blockOptions = {
+    keys: ctx.keys,
+    invoiceIdx: ctx.invoiceIdx,
+    compared: ctx.compared,
+    minAgreeing: ctx.compared.length - ctx.profile.maxDifferingFields
+  };
+  const blockKeysOf = (row, side) => partialBlockKeys(
+    idx => pairValue(ctx, row, side, idx),
+    invoiceValue(ctx, row, side),
+    rowRules(ctx, row, side),
+    blockOptions
+  );
+
+  const tallyRows = unmatched(state, 'tally');
+  const tallyBlocks = buildBlockIndex(tallyRows, row => blockKeysOf(row, 'tally'));
+
+  unmatched(state, 'gst').forEach(gstRow => {
+    let best = null;
+    candidatePositions(tallyBlocks, blockKeysOf(gstRow, 'gst')).forEach(position => {
+      const tallyRow = tallyRows[position];
+      if (state.matched.tally.has(tallyRow) || ctx.isBlocked([gstRow], [tallyRow])) return;
+
+      const { discrepancyColumns, normalization } = compareRows(ctx, gstRow, tallyRow);
+      // A different supplier or invoice is a different document, not a partial match
+      if (discrepancyColumns.some(disc => ctx.keys.includes(disc.columnIndex))) return;
+      const count = discrepancyCount(ctx, gstRow, tallyRow, discrepancyColumns);
+      if (count >= 1 && count <= ctx.profile.maxDifferingFields && (!best || count < best.count)) {
+        best = { tallyRow, discrepancyColumns, normalization, count };
+      }
+    });
+
+    if (best) {
+      state.results.partial.push(partialEntry(ctx, 'keyPartial', gstRow, best.tallyRow, best.discrepancyColumns, best.normalization));
+      markMatched(state, [gstRow], [best.tallyRow]);
     }
   });
+}
+
+// Same supplier, invoice numbers one edit apart after canonicalization (a mistyped digit),
+// and every amount within tolerance. Never minor: the invoice identity itself is in doubt.
+// Candidates come from a one-deletion block index (see candidates.js), so only pairs that can
+// be one edit apart are compared.
+function fuzzyStrategy(ctx, state) {
+  if (ctx.invoiceIdx < 0 || ctx.gstinIdx < 0) return;
+
+  const canonical = (row, side) => canonicalizeInvoiceNumber(invoiceValue(ctx, row, side), rowRules(ctx, row, side));
+  const blockKeysOf = (row, side, invoice) => (invoice.length < 3 ? [] : fuzzyBlockKeys(pairValue(ctx, row, side, ctx.gstinIdx), invoice));
 
-  tallyData.forEach((tallyRecord, tallyIndex) => {
-    if (!matchedTallyIds.has(tallyIndex)) {
-      tallyMismatches.push({
-        record: tallyRecord,
-        source: 'Tally',
-        type: 'missing_in_gst'
+  const tallyRows = unmatched(state, 'tally');
+  const tallyInvoices = tallyRows.map(row => canonical(row, 'tally'));
+  const tallyBlocks = buildBlockIndex(tallyRows, (row, position) => blockKeysOf(row, 'tally', tallyInvoices[position]));
+
+  unmatched(state, 'gst').forEach(gstRow => {
+    const gstInvoice = canonical(gstRow, 'gst');
+    if (gstInvoice.length < 3) return;
+
+    let best = null;
+    candidatePositions(tallyBlocks, blockKeysOf(gstRow, 'gst', gstInvoice)).forEach(position => {
+      const tallyRow = tallyRows[position];
+      if (state.matched.tally.has(tallyRow) || ctx.isBlocked([gstRow], [tallyRow])) return;
+      const distance = editDistance(gstInvoice, tallyInvoices[position], FUZZY_INVOICE_DISTANCE);
+      if (distance > FUZZY_INVOICE_DISTANCE) return;
+
+      const { discrepancyColumns } = compareRows(ctx, gstRow, tallyRow);
+      const others = discrepancyColumns.filter(disc => disc.columnIndex !== ctx.invoiceIdx);
+      if (others.length > ctx.profile.maxDifferingFields) return;
+      const amountsAgree = others.every(disc => {
+        const head = ROLE_TAX_HEADS[disc.role];
+        return !head || amountWithinTolerance(head, parseAmount(disc.gstValue), parseAmount(disc.tallyValue), ctx.profile);
       });
+      if (!amountsAgree) return;
+
+      if (!best || others.length < best.others) {
+        best = { tallyRow, discrepancyColumns, others: others.length };
+      }
+    });
+
+    if (best) {
+      state.results.partial.push(partialEntry(ctx, 'fuzzy', gstRow, best.tallyRow, best.discrepancyColumns, null, { isMinor: false }));
+      markMatched(state, [gstRow], [best.tallyRow]);
     }
   });
+}
 
-  return {
-    exactMatches,
-    partialMatches,
-    tallyMismatches,
-    gstMismatches
-  };
+// One row against several related rows of the same supplier whose totals agree (see groupMatching.js)
+function groupedStrategy(ctx, state) {
+  const { groups } = findGroupMatches(unmatched(state, 'gst'), unmatched(state, 'tally'), {
+    gstColumnNames: ctx.columns.gst,
+    tallyColumnNames: ctx.columns.tally,
+    roles: ctx.roles,
+    profile: ctx.profile,
+    invoiceRules: ctx.invoiceRules,
+    allowGroup: (gstRows, tallyRows) => !ctx.isBlocked(gstRows, tallyRows)
+  });
+  groups.forEach(group => {
+    state.results.grouped.push({ ...group, matchType: 'group', strategy: 'grouped', ...scoreGroup(group, ctx.profile) });
+    markMatched(state, group.gst, group.tally);
+  });
 }
 
-function createKey(record, columns) {
-  return columns
-    .map(col => String(record[col] || '').trim().toLowerCase())
-    .join('|');
-}
-
-function findDiscrepancies(gstRecord, tallyRecord, gstColumns, tallyColumns) {
-  const discrepancies = [];
-  
-  for (let i = 0; i < Math.min(gstColumns.length, tallyColumns.length); i++) {
-    const gstCol = gstColumns[i];
-    const tallyCol = tallyColumns[i];
-    
-    const gstValue = String(gstRecord[gstCol] || '').trim().toLowerCase();
-    const tallyValue = String(tallyRecord[tallyCol] || '').trim().toLowerCase();
-    
-    if (gstValue !== tallyValue) {
-      discrepancies.push({
-        field: gstCol,
-        gstValue: gstRecord[gstCol],
-        tallyValue: tallyRecord[tallyCol]
+// Reviewers' links (see overrides.js), before any strategy runs. One row a side is an exact or
+// partial match as the rows compare; more is a group. A link whose rows are missing, or
+// already taken by a later link, is skipped and reported.
+function applyManualLinks(ctx, state, overrides) {
+  const applied = [];
+  const skipped = [];
+  // Later links win, so they are applied first
+  overrides.filter(override => override.action === 'link').reverse().forEach(override => {
+    const gstRows = rowsForRefs(ctx, override.gst, state.rows.gst, 'gst');
+    const tallyRows = rowsForRefs(ctx, override.tally, state.rows.tally, 'tally');
+    if (gstRows.length === 0 || tallyRows.length === 0) {
+      skipped.push({ id: override.id, reason: 'rows_not_found' });
+      return;
+    }
+    if (gstRows.some(row => state.matched.gst.has(row)) || tallyRows.some(row => state.matched.tally.has(row))) {
+      skipped.push({ id: override.id, reason: 'rows_already_linked' });
+      return;
+    }
+
+    const manual = {
+      override: { id: override.id, scope: override.scope, note: override.note, createdBy: override.createdBy, createdAt: override.createdAt },
+      documentType: documentTypeOf(gstRows[0])
+    };
+    if (gstRows.length === 1 && tallyRows.length === 1) {
+      const [gstRow] = gstRows;
+      const [tallyRow] = tallyRows;
+      const { discrepancyColumns, normalization } = compareRows(ctx, gstRow, tallyRow);
+      if (discrepancyColumns.length === 0) {
+        const { confidence, explanation } = scorePairing(ctx, gstRow, tallyRow, [], normalization);
+        state.results.exact.push({
+          gst: gstRow,
+          tally: tallyRow,
+          matchType: 'exact',
+          strategy: 'manual',
+          normalization,
+          confidence,
+          explanation,
+          toleranceProfile: ctx.profile.name,
+          ...manual
+        });
+      } else {
+        state.results.partial.push(partialEntry(ctx, 'manual', gstRow, tallyRow, discrepancyColumns, normalization, manual));
+      }
+    } else {
+      const group = buildGroupEntry(gstRows, tallyRows, {
+        gstColumnNames: ctx.columns.gst,
+        tallyColumnNames: ctx.columns.tally,
+        roles: ctx.roles,
+        profile: ctx.profile
       });
+      state.results.grouped.push({ ...group, matchType: 'group', strategy: 'manual', ...scoreGroup(group, ctx.profile), ...manual });
     }
+    markMatched(state, gstRows, tallyRows);
+    applied.push(override.id);
+  });
+  return { applied, skipped };
+}
+
+export const STRATEGIES = {
+  exact: exactStrategy,
+  keyPartial: keyPartialStrategy,
+  fuzzy: fuzzyStrategy,
+  grouped: groupedStrategy
+};
+
+// Validate a strategy list from a request; undefined means DEFAULT_STRATEGIES
+export function resolveStrategies(strategies) {
+  if (strategies === undefined || strategies === null) return DEFAULT_STRATEGIES;
+  if (!Array.isArray(strategies) || strategies.length === 0) {
+    throw new Error('strategies must be a non-empty array');
   }
-  
-  return discrepancies;
+  strategies.forEach(name => {
+    if (!STRATEGIES[name]) {
+      throw new Error(`Unknown match strategy: ${name}. Expected one of ${Object.keys(STRATEGIES).join(', ')}`);
+    }
+  });
+  return Array.from(new Set(strategies));
+}
+
+// Reconcile GST rows against Tally rows.
+//   gstColumns / tallyColumns - the keys of each mapped pair in the rows
+//   options.roles             - role of each pair (inferred from the names if omitted)
+//   options.invoiceRules      - Map of supplier GSTIN -> invoice number rules
+//   options.toleranceProfile  - see tolerance.js (the default profile if omitted)
+//   options.aggregate         - fold rate-wise lines into invoices first (default true)
+//   options.resolveSuppliers  - resolve unknown Tally GSTINs first (default true)
+//   options.supplierAliases   - Map of saved supplier aliases (see supplierResolution.js)
+//   options.detectDuplicates  - set duplicate entries within each side aside first (default true)
+//   options.recipientGstin    - our own GSTIN, for the supply type when no place of supply is mapped
+//   options.period            - return period (YYYY-MM) of this run
+//   options.openItems         - { gst, tally } ledger items from earlier periods (see carryForward.js)
+//   options.strategies        - strategy names in run order (default DEFAULT_STRATEGIES)
+//   options.overrides         - reviewers' links and unlinks, applied before and during the strategies (see overrides.js)
+// Informational pairs are carried along but never compared.
+export function runReconciliation(currentGstRows, currentTallyRows, gstColumns, tallyColumns, options = {}) {
+  const roles = options.roles || resolveColumnRoles(gstColumns, tallyColumns);
+  const profile = options.toleranceProfile || DEFAULT_TOLERANCE_PROFILE;
+  const strategies = resolveStrategies(options.strategies);
+  const aggregate = options.aggregate !== false;
+  const resolveUnknownSuppliers = options.resolveSuppliers !== false;
+  const detectDuplicates = options.detectDuplicates !== false;
+
+  const ctx = {
+    columns: { gst: gstColumns, tally: tallyColumns },
+    roles,
+    compared: matchingIndexes(roles),
+    keys: keyIndexes(roles),
+    invoiceIdx: roles.indexOf('invoiceNumber'),
+    gstinIdx: roles.indexOf('supplierGstin'),
+    invoiceRules: options.invoiceRules,
+    recipientGstin: options.recipientGstin,
+    profile
+  };
+  const overrides = options.overrides || [];
+  ctx.isBlocked = unlinkBlocker(ctx, overrides);
+  if (ctx.compared.length === 0) {
+    throw new Error('Every mapped column is informational - nothing to match on');
+  }
+
+  // Open items from earlier periods join this period's rows as extra candidates
+  const openItems = options.openItems || { gst: [], tally: [] };
+  const gstRows = [...currentGstRows, ...openItems.gst.map(item => rowFromOpenItem(item, gstColumns, roles))];
+  const tallyRows = [...currentTallyRows, ...openItems.tally.map(item => rowFromOpenItem(item, tallyColumns, roles))];
+  const isCarried = row => Boolean(row._carriedForward);
+
+  // Suppliers are resolved on the raw lines so an invoice's lines aggregate under one GSTIN
+  const suppliers = resolveUnknownSuppliers
+    ? resolveSuppliers(gstRows, tallyRows, {
+      gstColumnNames: gstColumns,
+      tallyColumnNames: tallyColumns,
+      roles,
+      aliases: options.supplierAliases
+    })
+    : { tallyRows, resolutions: [] };
+
+  // Credit and debit notes are signed by their ITC effect and kept apart from invoices:
+  // lines aggregate within a document type, and every strategy runs once per type so
+  // notes only ever match notes of the same kind
+  const documents = {
+    gst: normalizeDocuments(gstRows, gstColumns, roles, 'gst'),
+    tally: normalizeDocuments(suppliers.tallyRows, tallyColumns, roles, 'tally')
+  };
+  const ofType = (rows, type) => rows.filter(row => documentTypeOf(row) === type);
+
+  // Duplicates within a side are set aside before matching: exact copies on the raw lines,
+  // near copies (invoice number written differently) on the invoice-level rows. Suspected
+  // copies are only reported and stay in the matching.
+  const duplicates = [];
+  const suspectedDuplicates = [];
+  const setAside = split => {
+    duplicates.push(...split.duplicates);
+    suspectedDuplicates.push(...(split.suspected || []));
+    return split.rows;
+  };
+
+  // The arithmetic check reads the raw lines; aggregation would mix their rates
+  const arithmetic = [];
+
+  // Carried items are already invoice-level and never fold into this period's lines
+  const prepare = (rows, columns, side) => {
+    const lines = detectDuplicates ? setAside(splitExactDuplicates(rows, columns, side)) : rows;
+    arithmetic.push(...checkTaxArithmetic(lines.filter(row => !isCarried(row)), side, ctx));
+    const invoices = DOCUMENT_TYPES.flatMap(type => {
+      const current = ofType(lines.filter(row => !isCarried(row)), type);
+      const carried = ofType(lines.filter(isCarried), type);
+      return [...(aggregate ? aggregateInvoiceLines(current, columns, roles) : current), ...carried];
+    });
+    return detectDuplicates ? setAside(splitNearDuplicates(invoices, columns, roles, side, options.invoiceRules)) : invoices;
+  };
+
+  const state = {
+    rows: {
+      gst: prepare(documents.gst, gstColumns, 'gst'),
+      tally: prepare(documents.tally, tallyColumns, 'tally')
+    },
+    matched: { gst: new Set(), tally: new Set() },
+    results: { exact: [], partial: [], grouped: [] }
+  };
+
+  const manualLinks = applyManualLinks(ctx, state, overrides);
+
+  DOCUMENT_TYPES.forEach(type => {
+    const partition = { ...state, rows: { gst: ofType(state.rows.gst, type), tally: ofType(state.rows.tally, type) } };
+    if (partition.rows.gst.length === 0 || partition.rows.tally.length === 0) return;
+
+    const seen = Object.fromEntries(Object.entries(state.results).map(([category, list]) => [category, list.length]));
+    strategies.forEach(name => STRATEGIES[name](ctx, partition));
+    Object.entries(state.results).forEach(([category, list]) => {
+      list.slice(seen[category]).forEach(entry => {
+        entry.documentType = type;
+      });
+    });
+  });
+
+  const notes = linkNotes(state.rows, { columns: ctx.columns, roles, invoiceRules: options.invoiceRules });
+
+  // A match that used an item from an earlier period is a timing difference
+  let timingDifferences = 0;
+  Object.values(state.results).forEach(list => list.forEach(entry => {
+    const timingDifference = timingDifferenceOf(entry, options.period);
+    if (timingDifference) {
+      entry.timingDifference = timingDifference;
+      timingDifferences++;
+    }
+  }));
+
+  // Row-level checks on this period's rows, matched or not
+  const currentRows = side => state.rows[side].filter(row => !isCarried(row));
+  const rowChecks = {
+    taxHeads: [...checkTaxHeads(currentRows('gst'), 'gst', ctx), ...checkTaxHeads(currentRows('tally'), 'tally', ctx)],
+    arithmetic,
+    suspectedDuplicates
+  };
+
+  // A match whose rows (or their lines) fail the arithmetic check says so, exact or not
+  const arithmeticByLine = new Map(arithmetic.map(issue => [issue.row, issue]));
+  Object.values(state.results).forEach(list => list.forEach(entry => {
+    const lines = [...[].concat(entry.gst), ...[].concat(entry.tally)].flatMap(row => row._lines || [row]);
+    const issues = lines.filter(line => arithmeticByLine.has(line)).map(line => {
+      const { row, ...issue } = arithmeticByLine.get(line);
+      return issue;
+    });
+    if (issues.length > 0) entry.arithmeticIssues = issues;
+  }));
+
+  // Carried items still unmatched stay in the ledger rather than in this period's only-lists
+  const gstOnly = unmatched(state, 'gst').filter(row => !isCarried(row));
+  const tallyOnly = unmatched(state, 'tally').filter(row => !isCarried(row));
+  const reasonCodes = assignReasonCodes(
+    { ...state.results, gstOnly, tallyOnly, duplicates, notes },
+    { columns: ctx.columns, roles, arithmetic }
+  );
+
+  const carriedRows = [...state.rows.gst, ...state.rows.tally].filter(isCarried);
+  const carriedForward = {
+    pulled: { gst: openItems.gst.length, tally: openItems.tally.length },
+    pulledIds: carriedRows.map(row => row._carriedForward.openItemId),
+    matchedIds: carriedRows
+      .filter(row => state.matched.gst.has(row) || state.matched.tally.has(row))
+      .map(row => row._carriedForward.openItemId)
+  };
+
+  return {
+    ...state.results,
+    gstOnly,
+    tallyOnly,
+    roles,
+    strategies,
+    toleranceProfile: { id: profile.id, name: profile.name },
+    supplierResolutions: suppliers.resolutions,
+    notes,
+    duplicates,
+    rowChecks,
+    carriedForward,
+    overrides: manualLinks,
+    aggregated: {
+      enabled: aggregate,
+      gstInvoices: countAggregated(state.rows.gst),
+      tallyInvoices: countAggregated(state.rows.tally)
+    },
+    summary: {
+      // Rows as uploaded; the reconciled counts are after aggregation and duplicate removal
+      totalGstRecords: currentGstRows.length,
+      totalTallyRecords: currentTallyRows.length,
+      reconciledGstRecords: state.rows.gst.filter(row => !isCarried(row)).length,
+      reconciledTallyRecords: state.rows.tally.filter(row => !isCarried(row)).length,
+      exactMatches: state.results.exact.length,
+      partialMatches: state.results.partial.length,
+      groupMatches: state.results.grouped.length,
+      manualMatches: manualLinks.applied.length,
+      resolvedSuppliers: suppliers.resolutions.length,
+      creditNotes: notes.summary.creditNotes.gst + notes.summary.creditNotes.tally,
+      debitNotes: notes.summary.debitNotes.gst + notes.summary.debitNotes.tally,
+      carriedForward: carriedForward.pulledIds.length,
+      timingDifferences,
+      duplicates: duplicates.reduce((count, set) => count + set.duplicates.length, 0),
+      suspectedDuplicates: suspectedDuplicates.reduce((count, set) => count + set.duplicates.length, 0),
+      taxHeadIssues: rowChecks.taxHeads.length,
+      arithmeticIssues: arithmetic.length,
+      reasonCodes,
+      gstOnly: gstOnly.length,
+      tallyOnly: tallyOnly.length
+    }
+  };
 }
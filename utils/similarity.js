@@ -0,0 +1,59 @@
+// String similarity helpers for fuzzy matching
+
+// Levenshtein distance, giving up (returning limit + 1) once it exceeds limit
+export function editDistance(a, b, limit = Infinity) {
+  if (a === b) return 0;
+  if (Math.abs(a.length - b.length) > limit) return limit + 1;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > limit) return limit + 1;
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// Words that say what kind of entity a supplier is rather than which one
+const NAME_NOISE_WORDS = new Set([
+  'm', 's', 'ms', 'messrs', 'the', 'and', 'co', 'company', 'pvt', 'private', 'ltd', 'limited',
+  'llp', 'inc', 'corp', 'corporation', 'firm', 'enterprise', 'enterprises'
+]);
+
+// Supplier names as comparable text: "M/s. Sharma & Co. Pvt Ltd" -> "sharma"
+export function normalizeName(name) {
+  return String(name ?? '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .split(/[^a-z0-9]+/)
+    .filter(word => word && !NAME_NOISE_WORDS.has(word))
+    .join(' ');
+}
+
+// Similarity of two normalized names in 0..1: the better of word overlap (word order and
+// stray words do not matter) and edit similarity (typos and joined words do not matter)
+export function nameSimilarity(a, b) {
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+
+  const wordsA = new Set(a.split(' '));
+  const wordsB = new Set(b.split(' '));
+  let shared = 0;
+  wordsA.forEach(word => {
+    if (wordsB.has(word)) shared++;
+  });
+  const overlap = (2 * shared) / (wordsA.size + wordsB.size);
+
+  const compactA = a.replace(/ /g, '');
+  const compactB = b.replace(/ /g, '');
+  const longest = Math.max(compactA.length, compactB.length);
+  const edit = 1 - editDistance(compactA, compactB, longest) / longest;
+
+  return Math.max(overlap, edit);
+}
@@ -0,0 +1,171 @@
+import { editDistance, nameSimilarity, normalizeName } from './similarity.js';
+
+// Supplier resolution. Tally party masters often carry no GSTIN, or one with a character
+// wrong, so their vouchers never meet the supplier's 2B rows. Before matching, each Tally
+// row whose GSTIN is not in the GST data is resolved to one that is: a saved alias first,
+// then a GSTIN one edit away, then (only when no GSTIN was booked) the closest trade/legal
+// name. Resolved rows are copies carrying the new GSTIN and a _supplierResolution note.
+
+// Lowest name similarity accepted, and how far ahead of the runner-up the best name must be
+export const NAME_SIMILARITY_THRESHOLD = 0.85;
+const NAME_MARGIN = 0.05;
+// A GSTIN this close to a 2B GSTIN is taken as a typo of it...
+const GSTIN_EDIT_DISTANCE = 1;
+// ...unless both sides carry names and they are clearly different suppliers
+const GSTIN_NAME_CONFLICT = 0.5;
+
+export function gstinKey(value) {
+  return String(value ?? '').trim().toUpperCase();
+}
+
+// Aliases are keyed on the party name and the GSTIN exactly as Tally has them
+export function aliasKey(partyName, bookedGstin) {
+  return `${normalizeName(partyName)}\u0001${gstinKey(bookedGstin)}`;
+}
+
+export async function loadSupplierAliases(db) {
+  const result = await db.query('SELECT party_key, booked_gstin, gstin FROM supplier_aliases');
+  const aliases = new Map();
+  result.rows.forEach(row => {
+    aliases.set(aliasKey(row.party_key, row.booked_gstin), gstinKey(row.gstin));
+  });
+  return aliases;
+}
+
+// GSTINs in the GST data with the names they trade under, plus a word index over the names
+function buildDirectory(gstRows, gstinColumn, nameColumn) {
+  const names = new Map();
+  gstRows.forEach(row => {
+    const gstin = gstinKey(row[gstinColumn]);
+    if (!gstin) return;
+    if (!names.has(gstin)) names.set(gstin, new Set());
+    const name = nameColumn ? normalizeName(row[nameColumn]) : '';
+    if (name) names.get(gstin).add(name);
+  });
+
+  const byWord = new Map();
+  names.forEach((nameSet, gstin) => {
+    nameSet.forEach(name => {
+      name.split(' ').forEach(word => {
+        if (!byWord.has(word)) byWord.set(word, new Set());
+        byWord.get(word).add(gstin);
+      });
+    });
+  });
+  return { names, byWord };
+}
+
+function bestNameScore(directory, gstin, name) {
+  let best = 0;
+  directory.names.get(gstin).forEach(candidate => {
+    best = Math.max(best, nameSimilarity(name, candidate));
+  });
+  return best;
+}
+
+function byGstinEdit(directory, bookedGstin, name) {
+  const close = [];
+  directory.names.forEach((_, gstin) => {
+    if (editDistance(bookedGstin, gstin, GSTIN_EDIT_DISTANCE) <= GSTIN_EDIT_DISTANCE) close.push(gstin);
+  });
+  if (close.length !== 1) return null;
+
+  const gstin = close[0];
+  if (name && directory.names.get(gstin).size > 0 && bestNameScore(directory, gstin, name) < GSTIN_NAME_CONFLICT) {
+    return null;
+  }
+  return { gstin, method: 'gstin_edit', score: 1 };
+}
+
+// Candidates share at least one word with the party name; the best must clear the
+// threshold and stand clear of the runner-up, or the name is too ambiguous to use
+function byName(directory, name) {
+  const candidates = new Set();
+  name.split(' ').forEach(word => {
+    (directory.byWord.get(word) || []).forEach(gstin => candidates.add(gstin));
+  });
+
+  let best = null;
+  let runnerUp = 0;
+  candidates.forEach(gstin => {
+    const score = bestNameScore(directory, gstin, name);
+    if (!best || score > best.score) {
+      runnerUp = best ? best.score : 0;
+      best = { gstin, score };
+    } else if (score > runnerUp) {
+      runnerUp = score;
+    }
+  });
+
+  if (!best || best.score < NAME_SIMILARITY_THRESHOLD || best.score - runnerUp < NAME_MARGIN) return null;
+  return { gstin: best.gstin, method: 'name', score: Math.round(best.score * 100) / 100 };
+}
+
+// gstRows / tallyRows are keyed by gstColumnNames / tallyColumnNames, which line up with
+// roles; needs a supplierGstin role. aliases is a Map from aliasKey() to GSTIN.
+// Returns the Tally rows (resolved ones replaced by copies) and one resolution per
+// distinct party name / booked GSTIN that was resolved.
+export function resolveSuppliers(gstRows, tallyRows, { gstColumnNames, tallyColumnNames, roles, aliases = new Map() }) {
+  const gstinIdx = roles.indexOf('supplierGstin');
+  if (gstinIdx < 0) return { tallyRows, resolutions: [] };
+  const nameIdx = roles.indexOf('supplierName');
+
+  const gstinColumn = tallyColumnNames[gstinIdx];
+  const nameColumn = nameIdx >= 0 ? tallyColumnNames[nameIdx] : null;
+  const directory = buildDirectory(gstRows, gstColumnNames[gstinIdx], nameIdx >= 0 ? gstColumnNames[nameIdx] : null);
+
+  const decided = new Map();
+  const resolve = (partyName, bookedGstin) => {
+    const alias = aliases.get(aliasKey(partyName, bookedGstin));
+    if (alias && alias !== bookedGstin) return { gstin: alias, method: 'alias', score: 1 };
+    const name = normalizeName(partyName);
+    if (bookedGstin) return byGstinEdit(directory, bookedGstin, name);
+    return name ? byName(directory, name) : null;
+  };
+
+  const resolvedRows = tallyRows.map(row => {
+    const bookedGstin = gstinKey(row[gstinColumn]);
+    if (bookedGstin && directory.names.has(bookedGstin)) return row;
+
+    const partyName = nameColumn ? String(row[nameColumn] ?? '').trim() : '';
+    const key = aliasKey(partyName, bookedGstin);
+    if (!decided.has(key)) {
+      const found = resolve(partyName, bookedGstin);
+      decided.set(key, found && { partyName, bookedGstin, ...found, rows: 0 });
+    }
+    const resolution = decided.get(key);
+    if (!resolution) return row;
+
+    resolution.rows++;
+    return {
+      ...row,
+      [gstinColumn]: resolution.gstin,
+      _supplierResolution: { bookedGstin, gstin: resolution.gstin, method: resolution.method, score: resolution.score }
+    };
+  });
+
+  return {
+    tallyRows: resolvedRows,
+    resolutions: Array.from(decided.values()).filter(Boolean)
+  };
+}
+
+// Keep what this run inferred so the next run resolves the same parties without guessing.
+// An alias a user confirmed (method 'manual') is never replaced by an inferred one.
+export async function saveSupplierAliases(db, resolutions) {
+  const inferred = resolutions.filter(resolution => resolution.method !== 'alias');
+  for (const resolution of inferred) {
+    await db.query(
+      `INSERT INTO supplier_aliases (party_key, party_name, booked_gstin, gstin, method, score, updated_at)
+       VALUES ($1, $2, $3, $4, $5, $6, NOW())
+       ON CONFLICT (party_key, booked_gstin) DO UPDATE SET
+         gstin = EXCLUDED.gstin,
+         method = EXCLUDED.method,
+         score = EXCLUDED.score,
+         updated_at = NOW()
+       WHERE supplier_aliases.method <> 'manual'`,
+      [normalizeName(resolution.partyName), resolution.partyName, resolution.bookedGstin, resolution.gstin, resolution.method, resolution.score]
+    );
+  }
+  return inferred.length;
+}
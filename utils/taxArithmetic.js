@@ -0,0 +1,81 @@
+import { amountWithinTolerance, parseAmount } from './tolerance.js';
+
+// Arithmetic check: a row's tax should be its taxable value times its rate. With a rate
+// column the expected IGST (or CGST and SGST, half each) is computed from it; without one
+// the rate is inferred from the ratio and must be a GST rate. Runs on the raw lines, before
+// aggregation sums lines of different rates together, so a wrong rate ledger shows up even
+// when both sides made the same mistake and the pair matches exactly.
+
+export const GST_RATES = [0, 0.1, 0.25, 1, 1.5, 3, 5, 6, 7.5, 12, 18, 28];
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function roleAmount(row, columnNames, roles, role) {
+  const idx = roles.indexOf(role);
+  return idx >= 0 ? parseAmount(row[columnNames[idx]]) : null;
+}
+
+function nearestRate(rate) {
+  return GST_RATES.reduce((best, candidate) => (Math.abs(candidate - rate) < Math.abs(best - rate) ? candidate : best));
+}
+
+// Tax the row should carry per head at a rate, split the way the row was booked
+function expectedTax(taxable, rate, actual) {
+  const total = (taxable * rate) / 100;
+  if (actual.igst !== null && Math.abs(actual.igst) > 0.005) return { igst: round2(total) };
+  if (actual.cgst !== null || actual.sgst !== null) return { cgst: round2(total / 2), sgst: round2(total / 2) };
+  return { igst: round2(total) };
+}
+
+// Findings for one side's rows. Needs taxableValue and at least one of IGST/CGST/SGST;
+// rows with no taxable value are skipped.
+export function checkTaxArithmetic(rows, side, { columns, roles, profile }) {
+  const columnNames = columns[side];
+  if (!roles.includes('taxableValue') || !['igst', 'cgst', 'sgst'].some(role => roles.includes(role))) return [];
+  const rateIdx = roles.indexOf('taxRate');
+
+  const issues = [];
+  rows.forEach(row => {
+    const taxable = roleAmount(row, columnNames, roles, 'taxableValue');
+    if (!taxable || Math.abs(taxable) < 0.005) return;
+
+    const actual = {
+      igst: roleAmount(row, columnNames, roles, 'igst'),
+      cgst: roleAmount(row, columnNames, roles, 'cgst'),
+      sgst: roleAmount(row, columnNames, roles, 'sgst')
+    };
+    const totalTax = round2((actual.igst || 0) + (actual.cgst || 0) + (actual.sgst || 0));
+    const inferredRate = round2((totalTax / taxable) * 100);
+    const finding = { side, row, check: 'arithmetic', taxableValue: taxable, totalTax, inferredRate };
+
+    // Blank cells are stored as 0, so a zero rate on a taxed row is no stated rate at all
+    const statedText = rateIdx >= 0 ? String(row[columnNames[rateIdx]] ?? '').trim() : '';
+    const statedRate = statedText === '' || (parseAmount(statedText) === 0 && Math.abs(totalTax) >= 0.005)
+      ? null
+      : parseAmount(statedText);
+    if (statedRate !== null) {
+      const rate = statedRate;
+      const expected = expectedTax(taxable, rate, actual);
+      const off = Object.keys(expected).filter(head => !amountWithinTolerance(head, expected[head], actual[head] || 0, profile));
+      if (off.length > 0) {
+        issues.push({ ...finding, problem: 'rate_mismatch', rate, expected, heads: off });
+        return;
+      }
+    } else {
+      const rate = nearestRate(Math.abs(inferredRate));
+      const expected = expectedTax(Math.abs(taxable), rate, actual);
+      const expectedTotal = Object.values(expected).reduce((sum, amount) => sum + amount, 0);
+      if (!amountWithinTolerance('igst', expectedTotal, Math.abs(totalTax), profile)) {
+        issues.push({ ...finding, problem: 'non_standard_rate', nearestRate: rate, expected });
+        return;
+      }
+    }
+
+    if (actual.cgst !== null && actual.sgst !== null && !amountWithinTolerance('cgst', actual.cgst, actual.sgst, profile)) {
+      issues.push({ ...finding, problem: 'cgst_sgst_unequal' });
+    }
+  });
+  return issues;
+}
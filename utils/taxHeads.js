@@ -0,0 +1,131 @@
+import { GSTIN_STATE_CODES } from './gstin.js';
+import { amountWithinTolerance, parseAmount } from './tolerance.js';
+
+// Tax-head consistency. An intra-state supply carries CGST + SGST, an inter-state one IGST.
+// The supplier's state is the first two digits of its GSTIN; the other end is the place of
+// supply when mapped, else our own (recipient) GSTIN. A row booked with the other tax type
+// is flagged, and a pair whose heads differ only because one side used the wrong type is
+// recognised as one split difference instead of three unrelated ones.
+
+const SPLIT_ROLES = ['igst', 'cgst', 'sgst'];
+const AMOUNT_EPSILON = 0.005;
+
+const STATE_CODES_BY_NAME = new Map(
+  Object.entries(GSTIN_STATE_CODES).map(([code, name]) => [name.toLowerCase(), code])
+);
+
+export function stateCodeOfGstin(value) {
+  const code = String(value ?? '').trim().slice(0, 2);
+  return GSTIN_STATE_CODES[code] ? code : null;
+}
+
+// "27-Maharashtra", "27", "Maharashtra" -> "27"
+export function placeOfSupplyCode(value) {
+  const str = String(value ?? '').trim();
+  if (!str) return null;
+  const code = str.match(/^(\d{1,2})\b/);
+  if (code) {
+    const padded = code[1].padStart(2, '0');
+    return GSTIN_STATE_CODES[padded] ? padded : null;
+  }
+  return STATE_CODES_BY_NAME.get(str.replace(/^\d+\s*-\s*/, '').toLowerCase()) || null;
+}
+
+// 'inter' or 'intra', with the states it was derived from; null when either end is unknown
+export function expectedSupplyType(supplierGstin, placeOfSupply, recipientGstin) {
+  const supplierState = stateCodeOfGstin(supplierGstin);
+  const posState = placeOfSupplyCode(placeOfSupply);
+  const otherState = posState || stateCodeOfGstin(recipientGstin);
+  if (!supplierState || !otherState) return null;
+  return {
+    type: supplierState === otherState ? 'intra' : 'inter',
+    supplierState,
+    otherState,
+    source: posState ? 'place_of_supply' : 'recipient_gstin'
+  };
+}
+
+// What a row was booked as: 'inter' (IGST), 'intra' (CGST/SGST), 'mixed', or null (no tax)
+export function bookedSupplyType(amounts) {
+  const hasIgst = Math.abs(amounts.igst || 0) > AMOUNT_EPSILON;
+  const hasSplit = Math.abs(amounts.cgst || 0) > AMOUNT_EPSILON || Math.abs(amounts.sgst || 0) > AMOUNT_EPSILON;
+  if (hasIgst && hasSplit) return 'mixed';
+  if (hasIgst) return 'inter';
+  if (hasSplit) return 'intra';
+  return null;
+}
+
+function splitAmounts(row, columnNames, roles) {
+  const amounts = {};
+  SPLIT_ROLES.forEach(role => {
+    const idx = roles.indexOf(role);
+    amounts[role] = idx >= 0 ? parseAmount(row[columnNames[idx]]) : 0;
+  });
+  return amounts;
+}
+
+// ctx: { roles, columns: { gst, tally }, recipientGstin }. Both ends of a row's supply
+// come from the row itself, so each side is checked on its own.
+function rowSupply(ctx, row, side) {
+  const columnNames = ctx.columns[side];
+  const valueOf = role => {
+    const idx = ctx.roles.indexOf(role);
+    return idx >= 0 ? row[columnNames[idx]] : undefined;
+  };
+  const expected = expectedSupplyType(valueOf('supplierGstin'), valueOf('placeOfSupply'), ctx.recipientGstin);
+  const amounts = splitAmounts(row, columnNames, ctx.roles);
+  return { expected, amounts, booked: bookedSupplyType(amounts) };
+}
+
+// Rows booked with a tax type their supply does not allow. Needs a supplierGstin role and
+// IGST or CGST/SGST roles.
+export function checkTaxHeads(rows, side, ctx) {
+  if (ctx.roles.indexOf('supplierGstin') < 0 || !SPLIT_ROLES.some(role => ctx.roles.includes(role))) return [];
+
+  const issues = [];
+  rows.forEach(row => {
+    const { expected, amounts, booked } = rowSupply(ctx, row, side);
+    if (!expected || !booked || booked === expected.type) return;
+    issues.push({
+      side,
+      row,
+      check: 'tax_head',
+      expected: expected.type,
+      booked,
+      supplierState: expected.supplierState,
+      otherState: expected.otherState,
+      source: expected.source,
+      amounts
+    });
+  });
+  return issues;
+}
+
+// For a pair whose IGST/CGST/SGST differ: when the total tax agrees within tolerance, the
+// difference is the split alone. Returns which side used the wrong type (if the supply
+// type is known) and the differing columns, or null.
+export function taxHeadSplit(ctx, gstRow, tallyRow, discrepancyColumns, profile) {
+  const splitColumns = discrepancyColumns.filter(disc => SPLIT_ROLES.includes(disc.role));
+  if (splitColumns.length === 0) return null;
+
+  const gst = rowSupply(ctx, gstRow, 'gst');
+  const tally = rowSupply(ctx, tallyRow, 'tally');
+  if (gst.booked === tally.booked) return null;
+
+  const total = amounts => Math.round((amounts.igst + amounts.cgst + amounts.sgst) * 100) / 100;
+  const gstTotal = total(gst.amounts);
+  const tallyTotal = total(tally.amounts);
+  if (!amountWithinTolerance('igst', gstTotal, tallyTotal, profile)) return null;
+
+  const expected = gst.expected || tally.expected;
+  const wrongSides = expected
+    ? ['gst', 'tally'].filter(side => (side === 'gst' ? gst.booked : tally.booked) !== expected.type)
+    : [];
+  return {
+    columns: splitColumns,
+    expected: expected ? expected.type : null,
+    booked: { gst: gst.booked, tally: tally.booked },
+    totalTax: { gst: gstTotal, tally: tallyTotal },
+    wrongSides
+  };
+}
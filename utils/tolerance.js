@@ -0,0 +1,133 @@
+// Tolerance profiles decide how far two mapped values may differ. A profile sets, per tax
+// head, an absolute (₹) and a percentage tolerance, a window in days for dates, and how
+// many fields may differ before a pair stops being a partial match.
+
+export const TAX_HEADS = ['taxable_value', 'igst', 'cgst', 'sgst', 'cess'];
+
+// Matches the thresholds that used to be hard-coded: up to 3 differing fields, and
+// amount differences below ₹1 are minor
+export const DEFAULT_TOLERANCE_PROFILE = {
+  id: null,
+  name: 'default',
+  amountTolerances: {
+    taxable_value: { abs: 1, pct: 0 },
+    igst: { abs: 1, pct: 0 },
+    cgst: { abs: 1, pct: 0 },
+    sgst: { abs: 1, pct: 0 },
+    cess: { abs: 1, pct: 0 }
+  },
+  dateWindowDays: 0,
+  maxDifferingFields: 3
+};
+
+// Tax is rounded to the rupee on one side or the other; amounts closer than this differ by
+// rounding alone, whatever the profile allows
+export const ROUNDING_LIMIT = 1;
+
+// Column names (raw or sanitized) for each tax head
+const TAX_HEAD_PATTERNS = [
+  { head: 'cess', pattern: /cess/ },
+  { head: 'taxable_value', pattern: /taxable_value/ },
+  { head: 'igst', pattern: /igst|integrated_tax/ },
+  { head: 'cgst', pattern: /cgst|central_tax/ },
+  { head: 'sgst', pattern: /sgst|state_ut_tax|utgst/ }
+];
+
+export function taxHeadForColumn(name) {
+  const normalized = String(name || '').toLowerCase().replace(/[^a-z0-9]+/g, '_');
+  const match = TAX_HEAD_PATTERNS.find(({ pattern }) => pattern.test(normalized));
+  return match ? match.head : null;
+}
+
+export function parseAmount(value) {
+  return parseFloat(String(value ?? '').replace(/[^0-9.-]/g, '')) || 0;
+}
+
+// Amounts as Tally writes them: "1,180.00 Cr" and "(1,180.00)" are negative, "1,180.00 Dr" positive
+export function parseSignedAmount(value) {
+  const str = String(value ?? '').trim();
+  const amount = Math.abs(parseAmount(str));
+  const negative = /-/.test(str) || /\bcr\.?$/i.test(str) || /^\(.*\)$/.test(str);
+  return negative ? -amount : amount;
+}
+
+// Differences strictly below the tolerance are within it; the percentage applies to the larger amount
+export function amountWithinTolerance(head, gstAmount, tallyAmount, profile = DEFAULT_TOLERANCE_PROFILE) {
+  const tolerance = profile.amountTolerances?.[head] || DEFAULT_TOLERANCE_PROFILE.amountTolerances[head] || { abs: 0, pct: 0 };
+  const diff = Math.abs(gstAmount - tallyAmount);
+  const pctAllowance = (Number(tolerance.pct) || 0) / 100 * Math.max(Math.abs(gstAmount), Math.abs(tallyAmount));
+  return diff < Math.max(Number(tolerance.abs) || 0, pctAllowance);
+}
+
+// Parse Date objects (pg DATE columns), ISO strings and DD-MM-YYYY / DD/MM/YYYY
+export function parseDateValue(value) {
+  if (value instanceof Date) return Number.isNaN(value.getTime()) ? null : value;
+  const str = String(value ?? '').trim();
+  let match = /^(\d{4})-(\d{2})-(\d{2})/.exec(str);
+  if (match) return new Date(+match[1], +match[2] - 1, +match[3]);
+  match = /^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})$/.exec(str);
+  if (match) return new Date(+match[3], +match[2] - 1, +match[1]);
+  return null;
+}
+
+export function dateDifferenceDays(a, b) {
+  const dateA = parseDateValue(a);
+  const dateB = parseDateValue(b);
+  if (!dateA || !dateB) return null;
+  const dayA = Date.UTC(dateA.getFullYear(), dateA.getMonth(), dateA.getDate());
+  const dayB = Date.UTC(dateB.getFullYear(), dateB.getMonth(), dateB.getDate());
+  return Math.round((dayB - dayA) / (24 * 60 * 60 * 1000));
+}
+
+function profileFromRow(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    amountTolerances: { ...DEFAULT_TOLERANCE_PROFILE.amountTolerances, ...(row.amount_tolerances || {}) },
+    dateWindowDays: row.date_window_days ?? 0,
+    maxDifferingFields: row.max_differing_fields ?? 3
+  };
+}
+
+// Validate a profile body from the API; returns { profile } or { error }
+export function validateToleranceProfile(body = {}) {
+  const amountTolerances = {};
+  const input = body.amountTolerances || {};
+  for (const head of Object.keys(input)) {
+    if (!TAX_HEADS.includes(head)) {
+      return { error: `Unknown tax head: ${head}. Expected one of ${TAX_HEADS.join(', ')}` };
+    }
+    const abs = Number(input[head]?.abs ?? 0);
+    const pct = Number(input[head]?.pct ?? 0);
+    if (!Number.isFinite(abs) || abs < 0 || !Number.isFinite(pct) || pct < 0) {
+      return { error: `Tolerances for ${head} must be non-negative numbers` };
+    }
+    amountTolerances[head] = { abs, pct };
+  }
+
+  const dateWindowDays = Number(body.dateWindowDays ?? 0);
+  const maxDifferingFields = Number(body.maxDifferingFields ?? 3);
+  if (!Number.isInteger(dateWindowDays) || dateWindowDays < 0) {
+    return { error: 'dateWindowDays must be a non-negative integer' };
+  }
+  if (!Number.isInteger(maxDifferingFields) || maxDifferingFields < 1) {
+    return { error: 'maxDifferingFields must be a positive integer' };
+  }
+
+  return { profile: { amountTolerances, dateWindowDays, maxDifferingFields } };
+}
+
+// Look a profile up by id or name; no selector means the 'default' profile
+export async function loadToleranceProfile(db, selector) {
+  const isId = selector !== undefined && selector !== null && /^\d+$/.test(String(selector));
+  const result = await db.query(
+    isId ? 'SELECT * FROM tolerance_profiles WHERE id = $1' : 'SELECT * FROM tolerance_profiles WHERE name = $1',
+    [isId ? Number(selector) : String(selector || DEFAULT_TOLERANCE_PROFILE.name)]
+  );
+
+  if (result.rows.length === 0) {
+    if (!selector) return DEFAULT_TOLERANCE_PROFILE;
+    return null;
+  }
+  return profileFromRow(result.rows[0]);
+}